@@ -0,0 +1,130 @@
+#!/usr/bin/env bun
+/**
+ * bench.js - Throughput benchmark for the markdown -> ADF converters
+ *
+ * Usage:
+ *   bench.js                 # 5 MB fixture, 3 runs per converter
+ *   bench.js --size 1 --runs 5
+ *   bench.js --write big.md  # also save the generated fixture
+ *
+ * The fixture is generated (deterministically) instead of checked in: release
+ * notes with hundreds of issues, runbook prose with inline markup, tables and
+ * long k8s log excerpts in code blocks - the documents that convert slowest.
+ *
+ * Prints one JSON line per converter:
+ *   {"converter":"jira","mb":5,"runs":3,"bestMs":277,"mbPerSec":18.08,"heapMb":28}
+ */
+
+import { parseArgs } from "node:util";
+import { seededIds } from "./ids.js";
+import { parseMarkdown as jiraToAdf } from "../../skills/jira-publish/scripts/md-to-adf.js";
+import { parseMarkdown as confluenceToAdf } from "../../skills/confluence-authoring/scripts/confluence-md-to-adf.js";
+
+const CONVERTERS = {
+  jira: (md) => jiraToAdf(md, { baseUrl: "https://example.atlassian.net", newId: seededIds(1) }),
+  confluence: (md) => confluenceToAdf(md, { newId: seededIds(1) }),
+};
+
+// Sections the fixture repeats, varied by a counter so no two are identical
+const SECTIONS = [
+  (n) => `## Release ${n}.0
+
+{status:SHIPPED:green} on {date:2025-03-01} :rocket:
+
+- PE-${n}1 **Fix** retry storm in \`ingest-worker\` when the queue is *empty*
+- PE-${n}2 Add [dashboard](https://grafana.example.com/d/${n}) for ~~old~~ new quotas
+- PE-${n}3 Bump base image, see https://github.com/example/repo/pull/${n}
+  - Follow-up for @ops.oncall@example.com
+  - [ ] Verify on staging
+`,
+  (n) => `### Runbook step ${n}
+
+When the _consumer lag_ exceeds **10k**, scale the \`worker\` deployment and check the
+[alerts](https://example.com/alerts?id=${n} "Alerts"). Escaped \\*stars\\* and snake_case_names stay
+literal; a link with **bold *nested* text** and a long line of plain prose that keeps going so
+paragraph scanning has real work to do across several wrapped source lines.
+`,
+  (n) => `| Service | Owner | Errors |
+|:--|:-:|--:|
+| api-${n} | team-a | ${n} |
+| worker-${n} | \`team|b\` | ${n * 2} |
+| cron-${n} | team-c<br>team-d | 0 |
+`,
+  (n) => "```\n" +
+    Array.from({ length: 40 }, (_, k) =>
+      `2025-03-01T10:${String(k % 60).padStart(2, "0")}:00Z pod/worker-${n}-${k} level=error msg="backoff restarting failed container" restarts=${k}`,
+    ).join("\n") +
+    "\n```\n",
+  (n) => `:::warning
+Quota for tenant ${n} is **shared** - see PE-${n}9.
+:::
+
+> Quoted note ${n}
+> across two lines.
+`,
+];
+
+/**
+ * Generate a markdown document of roughly the given size.
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function generateFixture(bytes) {
+  const parts = [];
+  let size = 0;
+  for (let n = 1; size < bytes; n++) {
+    const section = SECTIONS[n % SECTIONS.length](n);
+    parts.push(section);
+    size += section.length + 1;
+  }
+  return parts.join("\n");
+}
+
+// Main
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      size: { type: "string", default: "5" },
+      runs: { type: "string", default: "3" },
+      write: { type: "string" },
+    },
+  });
+  const mb = Number(values.size);
+  const runs = Number(values.runs);
+  if (!(mb > 0) || !(runs > 0)) {
+    throw new Error("--size and --runs must be positive numbers");
+  }
+
+  const markdown = generateFixture(mb * 1024 * 1024);
+  if (values.write) await Bun.write(values.write, markdown);
+
+  for (const [converter, convert] of Object.entries(CONVERTERS)) {
+    let best = Infinity;
+    let heap = 0;
+    for (let run = 0; run < runs; run++) {
+      Bun.gc(true);
+      const start = performance.now();
+      convert(markdown);
+      best = Math.min(best, performance.now() - start);
+      heap = Math.max(heap, process.memoryUsage().heapUsed);
+    }
+    console.log(
+      JSON.stringify({
+        converter,
+        mb,
+        runs,
+        bestMs: Math.round(best),
+        mbPerSec: Number((mb / (best / 1000)).toFixed(2)),
+        heapMb: Math.round(heap / 1024 / 1024),
+      }),
+    );
+  }
+}
+
+// Only run main() when executed directly (not when imported)
+if (import.meta.main) {
+  main().catch((err) => {
+    console.error("Error:", err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,72 @@
+#!/usr/bin/env bun
+/**
+ * Conformance suite for the markdown -> ADF converters
+ *
+ *   fixtures/jira/*.md        -> md-to-adf.js            -> *.adf.json next to it
+ *   fixtures/confluence/*.md  -> confluence-md-to-adf.js -> *.adf.json next to it
+ *
+ * IDs come from seededIds(), so expected output is exact, and every output
+ * must pass validateAdf(). Jira fixtures also go through adf-to-md.js: the
+ * markdown it prints must convert back to the same ADF and print again unchanged.
+ *
+ * Run with: bun test conformance.test.js
+ * After an intended output change, rewrite the expected files and review the diff:
+ *   UPDATE_FIXTURES=1 bun test conformance.test.js
+ */
+
+import { describe, test, expect } from "bun:test";
+import { readdirSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import { seededIds } from "./ids.js";
+import { validateAdf } from "./validate.js";
+import { parseMarkdown as jiraToAdf } from "../../skills/jira-publish/scripts/md-to-adf.js";
+import { parseMarkdown as confluenceToAdf } from "../../skills/confluence-authoring/scripts/confluence-md-to-adf.js";
+import { adfToMarkdown } from "../../skills/jira-publish/scripts/adf-to-md.js";
+
+const FIXTURES = join(import.meta.dir, "fixtures");
+const UPDATE = Boolean(process.env.UPDATE_FIXTURES);
+const SEED = "conformance";
+
+const CONVERTERS = {
+  jira: (md) => jiraToAdf(md, { baseUrl: "https://example.atlassian.net", newId: seededIds(SEED) }),
+  confluence: (md) => confluenceToAdf(md, { baseUrl: "https://example.atlassian.net", newId: seededIds(SEED) }),
+};
+
+function fixtures(converter) {
+  const dir = join(FIXTURES, converter);
+  return readdirSync(dir)
+    .filter((file) => file.endsWith(".md"))
+    .sort()
+    .map((file) => ({ name: file.slice(0, -3), md: join(dir, file), adf: join(dir, `${file.slice(0, -3)}.adf.json`) }));
+}
+
+for (const [converter, convert] of Object.entries(CONVERTERS)) {
+  describe(`${converter} fixtures`, () => {
+    for (const fixture of fixtures(converter)) {
+      test(fixture.name, async () => {
+        const actual = convert(await Bun.file(fixture.md).text());
+
+        if (UPDATE) {
+          await Bun.write(fixture.adf, JSON.stringify(actual, null, 2) + "\n");
+        } else if (!existsSync(fixture.adf)) {
+          throw new Error(`Missing ${fixture.adf} - run UPDATE_FIXTURES=1 bun test conformance.test.js`);
+        }
+        expect(actual).toEqual(await Bun.file(fixture.adf).json());
+        expect(validateAdf(actual).errors).toEqual([]);
+      });
+    }
+  });
+}
+
+describe("jira round trip", () => {
+  for (const fixture of fixtures("jira")) {
+    test(fixture.name, async () => {
+      const adf = CONVERTERS.jira(await Bun.file(fixture.md).text());
+      const md = adfToMarkdown(adf);
+      const again = CONVERTERS.jira(md);
+
+      expect(again).toEqual(adf);
+      expect(adfToMarkdown(again)).toBe(md);
+    });
+  }
+});
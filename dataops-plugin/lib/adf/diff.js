@@ -0,0 +1,465 @@
+#!/usr/bin/env bun
+/**
+ * diff.js - Structural diff of two ADF documents, typically the live Jira
+ * description / Confluence page and the newly converted draft.
+ *
+ * Usage:
+ *   diff.js live.json new.json            # markdown report
+ *   diff.js live.json new.json --json     # JSON report
+ *   jira-api.sh get PE-1234 > live.json
+ *   md-to-adf.js < draft.md | diff.js live.json -
+ *
+ * Inputs can be bare documents, Jira issue responses (fields.description) or
+ * Confluence v2 pages fetched with body-format=atlas_doc_format. "-" reads stdin.
+ *
+ * Blocks are matched in order; an unmatched old block and an unmatched new
+ * block of the same type pair up as a change. Changes inside lists, tables,
+ * panels and expands are reported at the innermost block that differs.
+ * localIds are ignored.
+ *
+ * JSON report:
+ *   { "changed": true, "summary": { "added": 1, "removed": 0, "changed": 1 },
+ *     "changes": [
+ *       { "op": "change", "path": "/content/0", "type": "paragraph",
+ *         "text": { "before": "Hello world", "after": "Hello there",
+ *                   "diff": [{ "op": "equal", "text": "Hello " }, { "op": "remove", "text": "world" }, { "op": "add", "text": "there" }] },
+ *         "marks": [{ "text": "Hello", "before": [], "after": ["strong"] }],
+ *         "attrs": { "level": { "before": 2, "after": 3 } } },
+ *       { "op": "add", "path": "/content/3", "type": "heading", "summary": "Next steps" } ] }
+ *
+ * Paths are JSON pointers into the new document, except for removed blocks,
+ * which point into the old one.
+ *
+ * Exit code: 0 no changes, 1 changes, 2 error (as diff(1)).
+ */
+
+import { parseArgs } from "node:util";
+
+// Blocks whose content is inline - diffed as text rather than as child blocks
+const TEXTBLOCKS = new Set(["paragraph", "heading", "codeBlock", "taskItem", "decisionItem"]);
+
+// Block summaries longer than this are cut
+const SUMMARY_LENGTH = 80;
+
+// Drop localIds (random per conversion) so they never show up as changes
+function normalize(node) {
+  if (Array.isArray(node)) return node.map(normalize);
+  if (!node || typeof node !== "object") return node;
+  const out = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key === "localId") continue;
+    out[key] = normalize(value);
+  }
+  if (out.attrs && Object.keys(out.attrs).length === 0) delete out.attrs;
+  return out;
+}
+
+// Stable key for equality: same node -> same string regardless of key order
+function key(node) {
+  return JSON.stringify(node, (_, value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => a.localeCompare(b)))
+      : value,
+  );
+}
+
+// Plain text of a node, with inline nodes shown the way their markdown reads
+function plainText(node) {
+  switch (node.type) {
+    case "text":
+      return node.text;
+    case "hardBreak":
+      return "\n";
+    case "mention":
+      return node.attrs?.text || "@mention";
+    case "emoji":
+      return node.attrs?.shortName || "";
+    case "status":
+      return `{status:${node.attrs?.text}}`;
+    case "date":
+      return `{date:${new Date(Number(node.attrs?.timestamp)).toISOString().slice(0, 10)}}`;
+    case "inlineCard":
+      return node.attrs?.url || "";
+    case "media":
+      return node.attrs?.alt || node.attrs?.url || "[media]";
+    default: {
+      const parts = (node.content || []).map(plainText);
+      return TEXTBLOCKS.has(node.type) || !node.content ? parts.join("") : parts.filter(Boolean).join(" / ");
+    }
+  }
+}
+
+function summarize(node) {
+  const text = plainText(node).replace(/\s+/g, " ").trim();
+  return text.length > SUMMARY_LENGTH ? text.slice(0, SUMMARY_LENGTH - 1) + "…" : text;
+}
+
+// Largest LCS table built in one piece (4 bytes a cell); bigger ranges are
+// split in half first (Hirschberg), so memory stays linear in the input
+const MAX_TABLE_CELLS = 1 << 20;
+
+/**
+ * Longest common subsequence of two key lists -> pairs of matching indexes.
+ * The common prefix and suffix are matched directly; the rest is split with
+ * Hirschberg's algorithm until each piece fits a table of maxCells.
+ * @param {Array} a
+ * @param {Array} b
+ * @param {number} [maxCells]
+ * @returns {Array<[number, number]>}
+ */
+export function lcs(a, b, maxCells = MAX_TABLE_CELLS) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let aEnd = a.length;
+  let bEnd = b.length;
+  while (aEnd > start && bEnd > start && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd--;
+    bEnd--;
+  }
+
+  const pairs = [];
+  for (let k = 0; k < start; k++) pairs.push([k, k]);
+  lcsRange(a, start, aEnd, b, start, bEnd, maxCells, pairs);
+  for (let k = 0; aEnd + k < a.length; k++) pairs.push([aEnd + k, bEnd + k]);
+  return pairs;
+}
+
+// LCS of a[aLo..aHi) and b[bLo..bHi), appended to pairs in order
+function lcsRange(a, aLo, aHi, b, bLo, bHi, maxCells, pairs) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  if (n === 0 || m === 0) return;
+  if (n === 1) {
+    for (let j = bLo; j < bHi; j++) {
+      if (a[aLo] === b[j]) {
+        pairs.push([aLo, j]);
+        return;
+      }
+    }
+    return;
+  }
+  if ((n + 1) * (m + 1) <= maxCells) {
+    lcsTable(a, aLo, aHi, b, bLo, bHi, pairs);
+    return;
+  }
+
+  // Split a in half and b where the two halves' LCS lengths add up the most
+  const mid = aLo + (n >> 1);
+  const front = lcsLengths(a, aLo, mid, b, bLo, bHi, false);
+  const back = lcsLengths(a, mid, aHi, b, bLo, bHi, true);
+  let split = 0;
+  for (let k = 1; k <= m; k++) {
+    if (front[k] + back[k] > front[split] + back[split]) split = k;
+  }
+  lcsRange(a, aLo, mid, b, bLo, bLo + split, maxCells, pairs);
+  lcsRange(a, mid, aHi, b, bLo + split, bHi, maxCells, pairs);
+}
+
+// One row of LCS lengths: lengths[k] is the LCS of a[aLo..aHi) with
+// b[bLo..bLo+k) - or, reversed, with b[bLo+k..bHi)
+function lcsLengths(a, aLo, aHi, b, bLo, bHi, reversed) {
+  const m = bHi - bLo;
+  let prev = new Uint32Array(m + 1);
+  let row = new Uint32Array(m + 1);
+  for (let step = 0; step < aHi - aLo; step++) {
+    const key = reversed ? a[aHi - 1 - step] : a[aLo + step];
+    for (let k = 1; k <= m; k++) {
+      const matches = key === (reversed ? b[bHi - k] : b[bLo + k - 1]);
+      row[k] = matches ? prev[k - 1] + 1 : Math.max(prev[k], row[k - 1]);
+    }
+    [prev, row] = [row, prev];
+  }
+  if (!reversed) return prev;
+  // Reversed lengths were built from the end of b: re-index by start position
+  const lengths = new Uint32Array(m + 1);
+  for (let k = 0; k <= m; k++) lengths[k] = prev[m - k];
+  return lengths;
+}
+
+// Full-table LCS of a small range
+function lcsTable(a, aLo, aHi, b, bLo, bHi, pairs) {
+  const rows = aHi - aLo + 1;
+  const cols = bHi - bLo + 1;
+  const table = new Uint32Array(rows * cols);
+  for (let i = rows - 2; i >= 0; i--) {
+    for (let j = cols - 2; j >= 0; j--) {
+      table[i * cols + j] = a[aLo + i] === b[bLo + j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < rows - 1 && j < cols - 1) {
+    if (a[aLo + i] === b[bLo + j]) {
+      pairs.push([aLo + i++, bLo + j++]);
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+}
+
+/**
+ * Word-level diff of two strings.
+ * @returns {Array<{op: "equal"|"remove"|"add", text: string}>}
+ */
+function diffWords(before, after) {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+  const ops = [];
+  const push = (op, text) => {
+    const last = ops[ops.length - 1];
+    if (last?.op === op) last.text += text;
+    else ops.push({ op, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  for (const [ai, bj] of [...lcs(a, b), [a.length, b.length]]) {
+    while (i < ai) push("remove", a[i++]);
+    while (j < bj) push("add", b[j++]);
+    if (ai < a.length) {
+      push("equal", a[ai]);
+      i = ai + 1;
+      j = bj + 1;
+    }
+  }
+  return ops;
+}
+
+// Mark names per character of a textblock's inline content
+function markRuns(nodes = []) {
+  const chars = [];
+  for (const node of nodes) {
+    const text = plainText(node);
+    const marks = (node.marks || [])
+      .map((m) => (m.type === "link" ? `link(${m.attrs?.href})` : m.type))
+      .sort();
+    for (const ch of text) chars.push({ ch, marks });
+  }
+  return chars;
+}
+
+// Mark differences on text both sides share: [{text, before, after}]
+function diffMarks(beforeNodes, afterNodes, textOps) {
+  const before = markRuns(beforeNodes);
+  const after = markRuns(afterNodes);
+  const changes = [];
+  let bi = 0;
+  let ai = 0;
+  let current = null;
+
+  for (const { op, text } of textOps) {
+    const length = [...text].length;
+    if (op === "remove") {
+      bi += length;
+    } else if (op === "add") {
+      ai += length;
+    }
+    if (op !== "equal") {
+      current = null;
+      continue;
+    }
+    for (let k = 0; k < length; k++, bi++, ai++) {
+      const was = before[bi].marks;
+      const now = after[ai].marks;
+      if (was.join() === now.join()) {
+        current = null;
+      } else if (current && current.before.join() === was.join() && current.after.join() === now.join()) {
+        current.text += after[ai].ch;
+      } else {
+        current = { text: after[ai].ch, before: was, after: now };
+        changes.push(current);
+      }
+    }
+  }
+  return changes;
+}
+
+// Attr differences, ignoring localId: {name: {before, after}}
+function diffAttrs(before = {}, after = {}) {
+  const changes = {};
+  for (const name of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (key(before[name]) !== key(after[name])) {
+      changes[name] = { before: before[name] ?? null, after: after[name] ?? null };
+    }
+  }
+  return changes;
+}
+
+// Compare two blocks of the same type that aren't equal
+function diffBlock(before, after, path, changes) {
+  const entry = { op: "change", path, type: after.type };
+
+  const attrs = diffAttrs(before.attrs, after.attrs);
+  if (Object.keys(attrs).length > 0) entry.attrs = attrs;
+
+  const blockMarks = diffAttrs({ marks: before.marks }, { marks: after.marks });
+  if (blockMarks.marks) entry.blockMarks = blockMarks.marks;
+
+  if (TEXTBLOCKS.has(after.type)) {
+    const beforeText = plainText(before);
+    const afterText = plainText(after);
+    const textOps = diffWords(beforeText, afterText);
+    if (beforeText !== afterText) {
+      entry.text = { before: beforeText, after: afterText, diff: textOps };
+    }
+    const marks = diffMarks(before.content, after.content, textOps);
+    if (marks.length > 0) entry.marks = marks;
+    if (!entry.text) entry.summary = summarize(after);
+    if (!entry.text && !entry.marks && !entry.attrs && !entry.blockMarks) {
+      // Same text and marks - an inline node's attrs changed (status color, link target, ...)
+      entry.inline = true;
+    }
+    changes.push(entry);
+    return;
+  }
+
+  if (entry.attrs || entry.blockMarks) {
+    entry.summary = summarize(after);
+    changes.push(entry);
+  }
+  diffChildren(before.content || [], after.content || [], path, changes);
+}
+
+// Align two block lists and report adds, removes and changes
+function diffChildren(before, after, path, changes) {
+  const beforeKeys = before.map(key);
+  const afterKeys = after.map(key);
+  const anchors = [...lcs(beforeKeys, afterKeys), [before.length, after.length]];
+
+  let i = 0;
+  let j = 0;
+  for (const [bi, aj] of anchors) {
+    const removed = [];
+    const added = [];
+    while (i < bi) removed.push(i++);
+    while (j < aj) added.push(j++);
+
+    // Same-type blocks in the gap pair up, in order, as changes
+    const paired = new Map();
+    for (const r of removed) {
+      const match = added.find((a) => !paired.has(a) && after[a].type === before[r].type);
+      if (match !== undefined) paired.set(match, r);
+    }
+    const pairedRemoved = new Set(paired.values());
+
+    for (const r of removed) {
+      if (!pairedRemoved.has(r)) {
+        changes.push({ op: "remove", path: `${path}/content/${r}`, type: before[r].type, summary: summarize(before[r]) });
+      }
+    }
+    for (const a of added) {
+      if (paired.has(a)) {
+        diffBlock(before[paired.get(a)], after[a], `${path}/content/${a}`, changes);
+      } else {
+        changes.push({ op: "add", path: `${path}/content/${a}`, type: after[a].type, summary: summarize(after[a]) });
+      }
+    }
+    i = bi + 1;
+    j = aj + 1;
+  }
+}
+
+/**
+ * Diff two ADF documents.
+ * @param {object} before - live document
+ * @param {object} after - new document
+ * @returns {{changed: boolean, summary: {added: number, removed: number, changed: number}, changes: object[]}}
+ */
+export function diffAdf(before, after) {
+  const changes = [];
+  diffChildren(normalize(before).content || [], normalize(after).content || [], "", changes);
+
+  const count = (op) => changes.filter((c) => c.op === op).length;
+  return {
+    changed: changes.length > 0,
+    summary: { added: count("add"), removed: count("remove"), changed: count("change") },
+    changes,
+  };
+}
+
+// Inline word diff as [-removed-]{+added+}, the way git diff --word-diff shows it
+function wordDiff(ops) {
+  return ops
+    .map(({ op, text }) => (op === "remove" ? `[-${text}-]` : op === "add" ? `{+${text}+}` : text))
+    .join("")
+    .replace(/\n/g, "↵");
+}
+
+function describeMarks(marks) {
+  return marks.length > 0 ? marks.join(", ") : "none";
+}
+
+/**
+ * Render a diff result as a markdown report.
+ * @param {ReturnType<typeof diffAdf>} result
+ * @returns {string}
+ */
+export function diffToMarkdown(result) {
+  if (!result.changed) return "No changes.\n";
+
+  const { added, removed, changed } = result.summary;
+  const lines = [`## ADF diff: ${added} added, ${removed} removed, ${changed} changed`, ""];
+  for (const change of result.changes) {
+    const where = `${change.type} \`${change.path}\``;
+    if (change.op === "add") {
+      lines.push(`- **Added** ${where}: ${change.summary}`);
+    } else if (change.op === "remove") {
+      lines.push(`- **Removed** ${where} (old document): ${change.summary}`);
+    } else {
+      const text = change.text ? wordDiff(change.text.diff) : change.summary;
+      lines.push(`- **Changed** ${where}: ${text}`);
+      for (const mark of change.marks || []) {
+        lines.push(`  - marks on "${mark.text}": ${describeMarks(mark.before)} → ${describeMarks(mark.after)}`);
+      }
+      for (const [name, { before, after }] of Object.entries(change.attrs || {})) {
+        lines.push(`  - ${name}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`);
+      }
+      if (change.blockMarks) {
+        lines.push(`  - block marks: ${JSON.stringify(change.blockMarks.before)} → ${JSON.stringify(change.blockMarks.after)}`);
+      }
+      if (change.inline) lines.push("  - inline node attributes changed");
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Bare doc, Jira issue response or Confluence page response -> doc
+function extractDoc(input, label) {
+  if (input?.type === "doc") return input;
+  if (input?.fields) return input.fields.description || { type: "doc", version: 1, content: [] };
+  const value = input?.body?.atlas_doc_format?.value;
+  if (value) return JSON.parse(value);
+  throw new Error(`${label} is not an ADF document, Jira issue or Confluence page`);
+}
+
+// Main
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      json: { type: "boolean", default: false },
+    },
+  });
+  if (positionals.length !== 2) {
+    throw new Error("Usage: diff.js <before.json|-> <after.json|-> [--json]");
+  }
+
+  const read = async (file) => JSON.parse(file === "-" ? await Bun.stdin.text() : await Bun.file(file).text());
+  const [before, after] = await Promise.all(positionals.map(read));
+  const result = diffAdf(extractDoc(before, positionals[0]), extractDoc(after, positionals[1]));
+
+  console.log(values.json ? JSON.stringify(result, null, 2) : diffToMarkdown(result).trimEnd());
+  process.exit(result.changed ? 1 : 0);
+}
+
+// Only run main() when executed directly (not when imported)
+if (import.meta.main) {
+  main().catch((err) => {
+    console.error("Error:", err.message);
+    process.exit(2);
+  });
+}
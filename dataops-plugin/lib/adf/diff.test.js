@@ -0,0 +1,158 @@
+#!/usr/bin/env bun
+/**
+ * Tests for diff.js
+ * Run with: bun test diff.test.js
+ */
+
+import { describe, test, expect } from "bun:test";
+import { $ } from "bun";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { rmSync } from "node:fs";
+import { diffAdf, diffToMarkdown, lcs } from "./diff.js";
+import { parseMarkdown as jiraToAdf } from "../../skills/jira-publish/scripts/md-to-adf.js";
+import { parseMarkdown as confluenceToAdf } from "../../skills/confluence-authoring/scripts/confluence-md-to-adf.js";
+
+const SCRIPT = import.meta.dir + "/diff.js";
+
+function diffMarkdown(before, after, convert = jiraToAdf) {
+  return diffAdf(convert(before), convert(after));
+}
+
+describe("diffAdf", () => {
+  test("identical content with fresh localIds has no changes", () => {
+    const md = `# Title
+
+{status:DRAFT:yellow}
+
+| A | B |
+|---|---|
+| 1 | 2 |
+
+- [ ] task`;
+    expect(diffMarkdown(md, md, confluenceToAdf)).toEqual({
+      changed: false,
+      summary: { added: 0, removed: 0, changed: 0 },
+      changes: [],
+    });
+  });
+
+  test("added and removed blocks", () => {
+    const result = diffMarkdown("Keep\n\nGone", "Keep\n\n## New heading");
+    expect(result.changes).toEqual([
+      { op: "remove", path: "/content/1", type: "paragraph", summary: "Gone" },
+      { op: "add", path: "/content/1", type: "heading", summary: "New heading" },
+    ]);
+  });
+
+  test("word-level text changes", () => {
+    const [change] = diffMarkdown("Hello world again", "Hello there again").changes;
+    expect(change.text.diff).toEqual([
+      { op: "equal", text: "Hello " },
+      { op: "remove", text: "world" },
+      { op: "add", text: "there" },
+      { op: "equal", text: " again" },
+    ]);
+  });
+
+  test("mark changes on unchanged text", () => {
+    const [change] = diffMarkdown("a **bold** move", "a *bold* move").changes;
+    expect(change.text).toBeUndefined();
+    expect(change.marks).toEqual([{ text: "bold", before: ["strong"], after: ["em"] }]);
+  });
+
+  test("attr changes", () => {
+    const [change] = diffMarkdown("## Plan", "### Plan").changes;
+    expect(change).toMatchObject({ op: "change", type: "heading", attrs: { level: { before: 2, after: 3 } }, summary: "Plan" });
+  });
+
+  test("changes inside lists and tables point at the innermost block", () => {
+    const before = `- a
+- b
+
+| A |
+|---|
+| 1 |`;
+    const after = `- a
+- b2
+- c
+
+| A |
+|---|
+| 2 |`;
+    expect(diffMarkdown(before, after).changes.map((c) => `${c.op} ${c.path}`)).toEqual([
+      "change /content/0/content/1/content/0",
+      "add /content/0/content/2",
+      "change /content/1/content/1/content/0/content/0",
+    ]);
+  });
+
+  test("inline node attr changes are flagged", () => {
+    const [change] = diffMarkdown("{status:OK:green}", "{status:OK:red}").changes;
+    expect(change).toMatchObject({ inline: true, summary: "{status:OK}" });
+  });
+});
+
+describe("lcs", () => {
+  test("split ranges find a subsequence as long as the full table's", () => {
+    const a = "the quick brown fox jumps over the lazy dog again".split(" ");
+    const b = "a quick red fox leaps over lazy dogs the again".split(" ");
+    const full = lcs(a, b);
+    const split = lcs(a, b, 4);
+
+    expect(split).toHaveLength(full.length);
+    expect(split.every(([i, j]) => a[i] === b[j])).toBe(true);
+    expect(split.every(([i, j], k) => k === 0 || (i > split[k - 1][0] && j > split[k - 1][1]))).toBe(true);
+  });
+
+  test("common prefix and suffix are matched without a table", () => {
+    expect(lcs(["a", "b", "x", "c"], ["a", "b", "y", "c"], 0)).toEqual([[0, 0], [1, 1], [3, 3]]);
+  });
+
+  test("long blocks diff word by word", () => {
+    const words = (step) => Array.from({ length: 3000 }, (_, i) => `w${(i * step) % 101}`).join(" ");
+    const doc = (text) => ({ type: "doc", version: 1, content: [{ type: "codeBlock", content: [{ type: "text", text }] }] });
+    const [change] = diffAdf(doc(words(3)), doc(words(7))).changes;
+    expect(change.text.diff.some((op) => op.op === "equal")).toBe(true);
+  });
+});
+
+describe("diffToMarkdown", () => {
+  test("report lists each change", () => {
+    const report = diffToMarkdown(diffMarkdown("Hello **world**\n\nGone", "Hello *world* there"));
+    expect(report).toBe(`## ADF diff: 0 added, 1 removed, 1 changed
+
+- **Removed** paragraph \`/content/1\` (old document): Gone
+- **Changed** paragraph \`/content/0\`: Hello world{+ there+}
+  - marks on "world": strong → em
+`);
+  });
+
+  test("no changes", () => {
+    expect(diffToMarkdown(diffMarkdown("x", "x"))).toBe("No changes.\n");
+  });
+});
+
+describe("CLI", () => {
+  const live = join(tmpdir(), `adf-diff-${process.pid}.json`);
+
+  test("reads a Jira issue response and stdin, exits 1 on changes", async () => {
+    await Bun.write(live, JSON.stringify({ key: "PE-1", fields: { description: jiraToAdf("Old text") } }));
+    const draft = JSON.stringify(jiraToAdf("New text"));
+    const result = await $`echo ${draft} | ${SCRIPT} ${live} - --json`.nothrow().quiet();
+    rmSync(live, { force: true });
+
+    expect(result.exitCode).toBe(1);
+    expect(JSON.parse(result.stdout.toString()).summary).toEqual({ added: 0, removed: 0, changed: 1 });
+  });
+
+  test("reads a Confluence page response, exits 0 when equal", async () => {
+    const doc = confluenceToAdf("Same");
+    await Bun.write(live, JSON.stringify({ id: "1", body: { atlas_doc_format: { value: JSON.stringify(doc) } } }));
+    const result = await $`echo ${JSON.stringify(confluenceToAdf("Same"))} | ${SCRIPT} ${live} -`.nothrow().quiet();
+    rmSync(live, { force: true });
+
+    expect(result.exitCode).toBe(0);
+    expect(result.stdout.toString()).toBe("No changes.\n");
+  });
+});
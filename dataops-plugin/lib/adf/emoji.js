@@ -0,0 +1,105 @@
+/**
+ * emoji.js - Emoji shortcodes for the markdown converters
+ *
+ *   :tada:        -> { type: "emoji", attrs: { shortName: ":tada:", id: "1f389", text: "🎉" } }
+ *   :check_mark:  -> { type: "emoji", attrs: { shortName: ":check_mark:", id: "atlassian-check_mark", text: ":check_mark:" } }
+ *
+ * The table is the part of the standard Atlassian emoji set that turns up in
+ * tickets and runbooks (Unicode emoji under their Atlassian shortnames) plus
+ * the Atlassian-only icons. Shortcodes not listed here stay literal text.
+ */
+
+// Atlassian-only icons - no Unicode character, the shortcode is the fallback text
+const ATLASSIAN = [
+  "atlassian", "check_mark", "cross_mark", "info", "warning", "question_mark",
+  "light_bulb_on", "light_bulb_off", "plus", "minus", "flag_on", "flag_off",
+  "star_on", "star_off", "yellow_star", "red_star", "green_star", "blue_star",
+];
+
+// Standard set: shortname -> Unicode character
+const STANDARD = {
+  // Faces
+  grinning: "😀", smiley: "😃", smile: "😄", grin: "😁", laughing: "😆", sweat_smile: "😅",
+  joy: "😂", rofl: "🤣", slight_smile: "🙂", upside_down: "🙃", wink: "😉", blush: "😊",
+  innocent: "😇", heart_eyes: "😍", star_struck: "🤩", kissing_heart: "😘", yum: "😋",
+  stuck_out_tongue: "😛", stuck_out_tongue_winking_eye: "😜", hugging: "🤗", thinking: "🤔",
+  zipper_mouth: "🤐", neutral_face: "😐", expressionless: "😑", no_mouth: "😶", smirk: "😏",
+  unamused: "😒", rolling_eyes: "🙄", grimacing: "😬", relieved: "😌", pensive: "😔",
+  sleepy: "😪", sleeping: "😴", mask: "😷", nerd: "🤓", sunglasses: "😎", confused: "😕",
+  worried: "😟", slight_frown: "🙁", frowning2: "☹️", open_mouth: "😮", hushed: "😯",
+  astonished: "😲", flushed: "😳", cold_sweat: "😰", cry: "😢", sob: "😭", scream: "😱",
+  confounded: "😖", persevere: "😣", disappointed: "😞", sweat: "😓", weary: "😩",
+  tired_face: "😫", triumph: "😤", rage: "😡", angry: "😠", exploding_head: "🤯",
+  skull: "💀", poop: "💩", clown: "🤡", ghost: "👻", alien: "👽", robot: "🤖",
+  see_no_evil: "🙈", hear_no_evil: "🙉", speak_no_evil: "🙊",
+
+  // Hands and people
+  wave: "👋", raised_hand: "✋", ok_hand: "👌", v: "✌️", fingers_crossed: "🤞",
+  point_up: "☝️", point_right: "👉", point_left: "👈", point_down: "👇", thumbsup: "👍",
+  thumbsdown: "👎", fist: "✊", punch: "👊", clap: "👏", raised_hands: "🙌", pray: "🙏",
+  handshake: "🤝", muscle: "💪", writing_hand: "✍️", eyes: "👀", brain: "🧠", man_shrugging: "🤷‍♂️",
+  woman_shrugging: "🤷‍♀️", man_facepalming: "🤦‍♂️", woman_facepalming: "🤦‍♀️",
+
+  // Hearts and symbols
+  heart: "❤️", orange_heart: "🧡", yellow_heart: "💛", green_heart: "💚", blue_heart: "💙",
+  purple_heart: "💜", broken_heart: "💔", sparkles: "✨", star: "⭐", star2: "🌟", dizzy: "💫",
+  boom: "💥", fire: "🔥", zap: "⚡", 100: "💯", white_check_mark: "✅", heavy_check_mark: "✔️",
+  ballot_box_with_check: "☑️", x: "❌", negative_squared_cross_mark: "❎", heavy_multiplication_x: "✖️",
+  heavy_plus_sign: "➕", heavy_minus_sign: "➖", question: "❓", grey_question: "❔",
+  exclamation: "❗", grey_exclamation: "❕", bangbang: "‼️", interrobang: "⁉️", no_entry: "⛔",
+  no_entry_sign: "🚫", stop_sign: "🛑", radioactive: "☢️", biohazard: "☣️", recycle: "♻️",
+  red_circle: "🔴", orange_circle: "🟠", yellow_circle: "🟡", green_circle: "🟢", blue_circle: "🔵",
+  purple_circle: "🟣", black_circle: "⚫", white_circle: "⚪", large_orange_diamond: "🔶",
+  large_blue_diamond: "🔷", small_red_triangle: "🔺", small_red_triangle_down: "🔻",
+  arrow_up: "⬆️", arrow_down: "⬇️", arrow_right: "➡️", arrow_left: "⬅️", arrows_counterclockwise: "🔄",
+  heavy_dollar_sign: "💲", copyright: "©️", registered: "®️", tm: "™️", new: "🆕", free: "🆓",
+  up: "🆙", cool: "🆒", ok: "🆗", sos: "🆘", information_source: "ℹ️",
+
+  // Objects and work
+  tada: "🎉", confetti_ball: "🎊", balloon: "🎈", gift: "🎁", trophy: "🏆", medal: "🏅",
+  first_place: "🥇", second_place: "🥈", third_place: "🥉", rocket: "🚀", airplane: "✈️",
+  construction: "🚧", rotating_light: "🚨", triangular_flag_on_post: "🚩", checkered_flag: "🏁",
+  bell: "🔔", no_bell: "🔕", mega: "📣", loudspeaker: "📢", hourglass: "⌛",
+  hourglass_flowing_sand: "⏳", alarm_clock: "⏰", stopwatch: "⏱️", timer: "⏲️", clock3: "🕒",
+  calendar: "📆", date: "📅", spiral_calendar_pad: "🗓️", memo: "📝", pencil2: "✏️", pen: "🖊️",
+  clipboard: "📋", pushpin: "📌", round_pushpin: "📍", paperclip: "📎", link: "🔗",
+  file_folder: "📁", open_file_folder: "📂", page_facing_up: "📄", bookmark_tabs: "📑",
+  books: "📚", book: "📖", notebook: "📓", ledger: "📒", label: "🏷️", bookmark: "🔖",
+  chart_with_upwards_trend: "📈", chart_with_downwards_trend: "📉", bar_chart: "📊",
+  mag: "🔍", mag_right: "🔎", lock: "🔒", unlock: "🔓", key: "🔑", closed_lock_with_key: "🔐",
+  hammer: "🔨", wrench: "🔧", tools: "🛠️", gear: "⚙️", nut_and_bolt: "🔩", shield: "🛡️",
+  bulb: "💡", flashlight: "🔦", battery: "🔋", electric_plug: "🔌", computer: "💻",
+  desktop: "🖥️", keyboard: "⌨️", printer: "🖨️", floppy_disk: "💾", cd: "💿", dvd: "📀",
+  iphone: "📱", telephone: "☎️", email: "📧", envelope: "✉️", inbox_tray: "📥",
+  outbox_tray: "📤", package: "📦", mailbox: "📫", moneybag: "💰", dollar: "💵",
+  credit_card: "💳", scales: "⚖️", bug: "🐛", beetle: "🪲", microscope: "🔬", telescope: "🔭",
+  satellite: "📡", test_tube: "🧪", dna: "🧬", broom: "🧹", bucket: "🪣", toolbox: "🧰",
+  magnet: "🧲", jigsaw: "🧩", dart: "🎯", game_die: "🎲", art: "🎨", thread: "🧵",
+  coffee: "☕", tea: "🍵", beer: "🍺", beers: "🍻", pizza: "🍕", cake: "🍰", cookie: "🍪",
+
+  // Nature and weather
+  sunny: "☀️", cloud: "☁️", umbrella: "☔", snowflake: "❄️", rainbow: "🌈", ocean: "🌊",
+  earth_americas: "🌎", earth_africa: "🌍", earth_asia: "🌏", globe_with_meridians: "🌐",
+  seedling: "🌱", evergreen_tree: "🌲", deciduous_tree: "🌳", cactus: "🌵", four_leaf_clover: "🍀",
+  turtle: "🐢", snail: "🐌", rabbit: "🐇", dog: "🐶", cat: "🐱", unicorn: "🦄", bee: "🐝",
+};
+
+/**
+ * Look up an emoji by shortname.
+ * @param {string} name - shortname without colons, e.g. "tada"
+ * @returns {{shortName: string, id: string, text: string}|null}
+ */
+export function lookupEmoji(name) {
+  if (ATLASSIAN.includes(name)) {
+    return { shortName: `:${name}:`, id: `atlassian-${name}`, text: `:${name}:` };
+  }
+  if (!Object.hasOwn(STANDARD, name)) return null;
+  const text = STANDARD[name];
+  // Atlassian ids are the code points in hex, without the FE0F presentation selector
+  const id = [...text]
+    .map((ch) => ch.codePointAt(0))
+    .filter((cp) => cp !== 0xfe0f)
+    .map((cp) => cp.toString(16))
+    .join("-");
+  return { shortName: `:${name}:`, id, text };
+}
@@ -0,0 +1,27 @@
+#!/usr/bin/env bun
+/**
+ * Tests for emoji.js
+ * Run with: bun test emoji.test.js
+ */
+
+import { describe, test, expect } from "bun:test";
+import { lookupEmoji } from "./emoji.js";
+
+describe("lookupEmoji", () => {
+  test("standard emoji carry code point id and character", () => {
+    expect(lookupEmoji("rocket")).toEqual({ shortName: ":rocket:", id: "1f680", text: "🚀" });
+  });
+
+  test("presentation selector is left out of the id", () => {
+    expect(lookupEmoji("heart")).toEqual({ shortName: ":heart:", id: "2764", text: "❤️" });
+  });
+
+  test("Atlassian icons fall back to the shortcode as text", () => {
+    expect(lookupEmoji("warning")).toEqual({ shortName: ":warning:", id: "atlassian-warning", text: ":warning:" });
+  });
+
+  test("unknown and inherited names", () => {
+    expect(lookupEmoji("nope")).toBeNull();
+    expect(lookupEmoji("constructor")).toBeNull();
+  });
+});
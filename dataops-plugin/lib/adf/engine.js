@@ -0,0 +1,752 @@
+/**
+ * engine.js - Markdown -> ADF engine shared by md-to-adf.js and confluence-md-to-adf.js
+ *
+ * The engine owns the markdown both converters speak: paragraphs, headings,
+ * lists and checklists, tables, code fences, blockquotes, rules, expands,
+ * reference links and footnotes. Everything else comes from a profile:
+ *
+ *   const converter = createConverter({
+ *     theme: "jira",                         - default theme, see theme.js
+ *     headingLevels: [2, 4],                 - "#" levels that are headings
+ *     localIds: false,                       - localIds on every block node (Confluence)
+ *     tableLayout: "align-start",            - layout of tables without {layout=..}
+ *     frontmatter: true,                     - strip YAML frontmatter first
+ *     inline: (options, { uuid }) => [...],  - inline extensions (inline.js), per document
+ *     blocks: [contextRule, panelRule],      - block rules, tried before the built-in ones
+ *   });
+ *   converter.parseMarkdown(markdown, { newId, theme, cellLists, ...profileOptions });
+ *
+ * A block rule is a function (lines, i) -> { nodes, next } | null: it looks
+ * at lines[i] and, if the block is its own, returns the nodes it built and
+ * the index of the first line after it. Rules build those nodes with the
+ * helpers the converter returns (paragraph, parseBlocks, collectDirectiveBlock ...).
+ */
+
+import { parseInline as parseInlineMarkdown } from "./inline.js";
+import { splitMedia } from "./media.js";
+import {
+  parseTableLines,
+  cellBlocks,
+  alignmentMarks,
+  strongText,
+  isTableAttrLine,
+  parseTableAttrs,
+  columnWidths,
+} from "./table.js";
+import { randomId } from "./ids.js";
+import { loadTheme, headingMarks } from "./theme.js";
+import { collectReferences, createReferences } from "./references.js";
+import { NESTED_EXPAND_BLOCKS } from "./validate.js";
+
+// List item marker: "- ", "* " or "1. " with optional leading whitespace
+const LIST_ITEM = /^(\s*)([-*]|\d+\.)\s+(.*)$/;
+
+// Task item text after the list marker: "[ ] todo" or "[x] done"
+const TASK_ITEM = /^\[([ xX])\](?:\s+(.*))?$/;
+
+// Horizontal rule: ---, ***, ___
+const RULE = /^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/;
+
+// Directive opener. One-line directives (":::toc maxLevel=2 :::") don't open
+// a level, and neither does the :::column separator inside :::columns.
+export const DIRECTIVE_OPEN = /^:::(?!column$)\w(?!.*\s:::$)/;
+
+// Expand opener: :::expand title="Raw logs" or <details><summary>Raw logs</summary>
+const EXPAND_OPEN = /^:::expand(?:\s+title="([^"]*)")?$/;
+const DETAILS_OPEN = /^<details>\s*(?:<summary>(.*?)<\/summary>)?$/;
+const SUMMARY_LINE = /^<summary>(.*?)<\/summary>$/;
+
+// Count leading whitespace columns
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+// Is this list marker an ordered ("1.") marker?
+function isOrderedMarker(marker) {
+  return /\d/.test(marker);
+}
+
+// Lines inside a list item that are plain paragraph text (not block syntax)
+function isParagraphText(line) {
+  return line.trim() !== "" && !line.match(LIST_ITEM) && !line.match(/^\s*(```|>|#|\||:::)/);
+}
+
+/**
+ * Strip YAML frontmatter if present.
+ * @param {string} markdown
+ * @returns {string} everything after the closing ---, or markdown unchanged
+ */
+export function stripFrontmatter(markdown) {
+  const lines = markdown.split("\n");
+
+  // Check if first line is --- (frontmatter delimiter)
+  if (lines[0]?.trim() === "---") {
+    // Find the closing ---
+    for (let i = 1; i < lines.length; i++) {
+      if (lines[i].trim() === "---") {
+        // Return everything after the closing ---
+        return lines.slice(i + 1).join("\n");
+      }
+    }
+  }
+
+  return markdown;
+}
+
+// Collect the body of a nested block starting at lines[start], up to the
+// matching close line. Inner openers need their own close line, and lines
+// inside fenced code don't count.
+function collectNestedBlock(lines, start, openPattern, closePattern) {
+  const inner = [];
+  let depth = 1;
+  let inFence = false;
+  let i = start + 1;
+
+  while (i < lines.length) {
+    const trimmed = lines[i].trim();
+    if (trimmed.startsWith("```")) {
+      inFence = !inFence;
+    } else if (!inFence && trimmed.match(closePattern)) {
+      depth--;
+      if (depth === 0) break;
+    } else if (!inFence && trimmed.match(openPattern)) {
+      depth++;
+    }
+    inner.push(lines[i]);
+    i++;
+  }
+
+  return { inner, next: i + 1 }; // skip close line
+}
+
+// Collect the body of a :::name ... ::: block starting at lines[start].
+function collectDirectiveBlock(lines, start) {
+  return collectNestedBlock(lines, start, DIRECTIVE_OPEN, /^:::$/);
+}
+
+// Collect the lines of a list starting at lines[start].
+// Stops at a non-indented line, a top-level marker of the other list type,
+// or a blank line that isn't followed by indented continuation content.
+function collectListLines(lines, start) {
+  const first = lines[start].match(LIST_ITEM);
+  const baseIndent = first[1].length;
+  const ordered = isOrderedMarker(first[2]);
+  const listLines = [lines[start]];
+  let i = start + 1;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (line.trim() === "") {
+      let next = i + 1;
+      while (next < lines.length && lines[next].trim() === "") next++;
+      if (next >= lines.length || indentOf(lines[next]) <= baseIndent) break;
+      listLines.push(line);
+      i++;
+      continue;
+    }
+    const match = line.match(LIST_ITEM);
+    const indent = indentOf(line);
+    if (indent <= baseIndent && !(match && isOrderedMarker(match[2]) === ordered)) break;
+    listLines.push(line);
+    i++;
+  }
+
+  return { listLines, ordered, next: i };
+}
+
+/**
+ * Build a markdown -> ADF converter for a profile (see the top of this file).
+ * Per-document state (ids, theme, inline extensions, references) lives in the
+ * converter and is reset by each parseMarkdown() call.
+ * @param {object} profile
+ * @returns {object} parseMarkdown, parseInline and the node helpers for block rules
+ */
+export function createConverter(profile) {
+  const {
+    headingLevels: [minLevel, maxLevel],
+    localIds = false,
+    tableLayout = "default",
+    frontmatter = false,
+    blocks: blockRules = [],
+  } = profile;
+  const defaultTheme = loadTheme(undefined, profile.theme);
+  const headingLine = new RegExp(`^(#{${minLevel},${maxLevel}})(\\S?)\\s+(.+)$`);
+
+  // A line that ends a paragraph: blank, or the start of another block.
+  // One pattern for every paragraph line instead of a regex per block type.
+  const paragraphEnd = new RegExp(
+    `^(?:\\s*$|#{${minLevel},${maxLevel}}[^\\w\\s#]?\\s|\\||\\s*[-*]\\s|\\s*\\d+\\.\\s|:::|` +
+    "\\s*(?:-{3,}|\\*{3,}|_{3,})\\s*$|>\\s|```|<details>)",
+  );
+
+  // Set per document by parseMarkdown()
+  let newId = randomId;
+  let theme = defaultTheme;
+  let cellLists = false;
+  let references = createReferences();
+  let documentOptions = {};
+  let extensions = profile.inline({}, { uuid });
+  // Set while parsing the children of a checklist item (see parseList)
+  let inTaskItem = false;
+
+  // localId for status lozenges, tables and (with localIds) every block
+  function uuid() {
+    return newId();
+  }
+
+  // { attrs } for a block node: with a localId when the profile gives blocks
+  // one, as given (or none at all) otherwise
+  function withId(attrs) {
+    if (localIds) return { attrs: { ...attrs, localId: uuid() } };
+    return attrs ? { attrs } : {};
+  }
+
+  // Theme of the document being converted
+  function currentTheme() {
+    return theme;
+  }
+
+  // parseMarkdown() options of the document being converted, for block rules
+  // that read profile options the way inline() does
+  function currentOptions() {
+    return documentOptions;
+  }
+
+  // Parse inline elements with the profile's extensions.
+  // options.images turns ![alt](src) into mediaSingle nodes (see paragraphBlocks).
+  function parseInline(text, options = {}) {
+    return parseInlineMarkdown(text, { extensions, images: options.images, references });
+  }
+
+  // Create a paragraph node from a single line or array of lines
+  // When given an array, inserts hardBreak nodes between lines
+  function paragraph(textOrLines, options = {}) {
+    // Handle array of lines - insert hardBreaks between them
+    if (Array.isArray(textOrLines)) {
+      const lines = textOrLines.filter(line => line.trim() !== "");
+      if (lines.length === 0) {
+        return { type: "paragraph", ...withId() };
+      }
+      if (lines.length === 1) {
+        return paragraph(lines[0], options);
+      }
+      // Multiple lines - join with hardBreak nodes
+      const content = [];
+      for (let i = 0; i < lines.length; i++) {
+        content.push(...parseInline(lines[i], options));
+        if (i < lines.length - 1) {
+          content.push({ type: "hardBreak" });
+        }
+      }
+      return { type: "paragraph", ...withId(), content };
+    }
+
+    // Single text string
+    if (!textOrLines || textOrLines.trim() === "") {
+      return { type: "paragraph", ...withId() };
+    }
+    return { type: "paragraph", ...withId(), content: parseInline(textOrLines, options) };
+  }
+
+  // Paragraph where block content is allowed: images split out into mediaSingle blocks
+  function paragraphBlocks(textOrLines) {
+    return splitMedia(paragraph(textOrLines, { images: true }), localIds ? { newId: uuid } : {});
+  }
+
+  // Heading styled by the theme (marker: "!" for ##! Heading). Inline markup is
+  // parsed as in paragraphs; the theme's marks go on every text node except
+  // code, which takes no other marks.
+  function heading(level, text, marker = "") {
+    const marks = headingMarks(theme, level, marker);
+    const content = parseInline(text).map((node) => {
+      if (node.type !== "text" || marks.length === 0 || node.marks?.some((m) => m.type === "code")) return node;
+      const own = node.marks || [];
+      return { ...node, marks: [...own, ...marks.filter((m) => !own.some((o) => o.type === m.type))] };
+    });
+    return { type: "heading", ...withId({ level }), content };
+  }
+
+  // Table cell blocks: paragraphs take the column alignment, header text is bold
+  // and in the theme's header colour. <br> breaks lines; with the cellLists
+  // option "• a<br>• b" is a bullet list.
+  function cellContent(text, alignment, header = false) {
+    const marks = alignmentMarks(alignment);
+    return cellBlocks(text, { lists: cellLists }).flatMap((part) => {
+      if (part.type === "bulletList") {
+        return {
+          type: "bulletList",
+          ...withId(),
+          content: part.items.map((item) => ({ type: "listItem", ...withId(), content: paragraphBlocks(item) })),
+        };
+      }
+      return paragraphBlocks(part.lines).map((block) => {
+        if (block.type !== "paragraph") return block;
+        const styled = header && block.content ? { ...block, content: headerText(block.content) } : block;
+        return marks ? { ...styled, marks } : styled;
+      });
+    });
+  }
+
+  // Bold header cell text, coloured when the theme gives headers a colour
+  // (code spans take no other marks)
+  function headerText(nodes) {
+    const { color } = theme.tableHeader;
+    return strongText(nodes).map((node) => {
+      if (!color || node.type !== "text" || node.marks.some((m) => m.type === "code")) return node;
+      return { ...node, marks: [...node.marks, { type: "textColor", attrs: { color } }] };
+    });
+  }
+
+  // Parse table from markdown lines. tableAttrs comes from an optional
+  // {widths=.. numbered header-column layout=..} line after the table.
+  function parseTable(lines, tableAttrs = {}) {
+    // lines[0] = header row, lines[1] = separator, lines[2+] = data rows
+    const { headers, alignments, rows } = parseTableLines(lines);
+    const layout = tableAttrs.layout || tableLayout;
+    const widths = tableAttrs.widths && columnWidths(tableAttrs.widths, headers.length, layout);
+    const { background } = theme.tableHeader;
+    const cellAttrs = (col, header) => {
+      const width = widths ? { colwidth: [widths[col]] } : {};
+      const style = header && background ? { ...width, background } : width;
+      return localIds ? { colspan: 1, rowspan: 1, ...style, localId: uuid() } : style;
+    };
+
+    const tableContent = [];
+
+    // Header row
+    tableContent.push({
+      type: "tableRow",
+      ...withId(),
+      content: headers.map((h, col) => ({
+        type: "tableHeader",
+        attrs: cellAttrs(col, true),
+        content: cellContent(h, alignments[col], true),
+      })),
+    });
+
+    // Data rows; with header-column the first cell of each is a header too
+    for (const row of rows) {
+      tableContent.push({
+        type: "tableRow",
+        ...withId(),
+        content: row.map((cell, col) => {
+          const header = col === 0 && !!tableAttrs.headerColumn;
+          return {
+            type: header ? "tableHeader" : "tableCell",
+            attrs: cellAttrs(col, header),
+            content: cellContent(cell, alignments[col], header),
+          };
+        }),
+      });
+    }
+
+    // Tables always get a localId; Confluence only states the number column when it's on
+    const attrs = localIds
+      ? { layout, localId: uuid(), ...(tableAttrs.numbered && { isNumberColumnEnabled: true }) }
+      : { isNumberColumnEnabled: !!tableAttrs.numbered, layout, localId: uuid() };
+    return { type: "table", attrs, content: tableContent };
+  }
+
+  // Build the block content of one list item.
+  // Paragraph continuation lines are joined with a space (drafts are never
+  // hard-wrapped); everything else - nested lists, code fences, blank-line
+  // separated paragraphs - goes through the regular block parser.
+  function listItemContent(lines) {
+    const joined = [];
+    let inFence = false;
+    let prevWasText = false;
+    for (const line of lines) {
+      if (line.trim().startsWith("```")) {
+        inFence = !inFence;
+        joined.push(line);
+        prevWasText = false;
+      } else if (!inFence && isParagraphText(line)) {
+        if (prevWasText) {
+          joined[joined.length - 1] += " " + line.trim();
+        } else {
+          joined.push(line.trim());
+        }
+        prevWasText = true;
+      } else {
+        joined.push(line);
+        prevWasText = false;
+      }
+    }
+
+    const content = parseBlocks(joined);
+    return content.length > 0 ? content : [paragraph("")];
+  }
+
+  // Parse list items, nesting by indentation depth.
+  // Returns the nodes the list becomes: one list, or several (see taskList).
+  function parseList(lines, ordered = false) {
+    const items = [];
+    let currentItem = null;
+
+    for (const line of lines) {
+      const match = line.match(LIST_ITEM);
+      const indent = indentOf(line);
+      // A marker left of the current item's content column starts a sibling
+      // item; anything deeper belongs to the current item (nested lists,
+      // continuation lines, code blocks)
+      const isSibling = match &&
+        isOrderedMarker(match[2]) === ordered &&
+        (!currentItem || indent < currentItem.contentColumn);
+
+      if (isSibling) {
+        if (currentItem) items.push(currentItem);
+        const markerWidth = line.length - match[3].length - indent;
+        currentItem = {
+          number: parseInt(match[2], 10),
+          contentColumn: indent + markerWidth,
+          lines: [match[3]],
+        };
+      } else if (currentItem) {
+        // Dedent child lines relative to the item's content column
+        const strip = Math.min(indent, currentItem.contentColumn);
+        currentItem.lines.push(line.trim() === "" ? "" : line.slice(strip));
+      }
+    }
+    if (currentItem) items.push(currentItem);
+
+    // GitHub-style checklist: every bullet starts with [ ] or [x]
+    const isTask = (item) => TASK_ITEM.test(item.lines[0]);
+    if (!ordered && items.length > 0 && items.every(isTask)) {
+      return taskList(items);
+    }
+    // Under a checklist item, checkbox bullets stay tasks even when plain
+    // bullets sit between them: each run becomes its own list
+    if (!ordered && inTaskItem && items.some(isTask)) {
+      const runs = [];
+      for (const item of items) {
+        const last = runs.at(-1);
+        if (last && isTask(last[0]) === isTask(item)) last.push(item);
+        else runs.push([item]);
+      }
+      return runs.flatMap((run) => (isTask(run[0]) ? taskList(run) : [plainList(run, false)]));
+    }
+
+    return [plainList(items, ordered)];
+  }
+
+  // Build a bulletList or orderedList from parsed list items
+  function plainList(items, ordered) {
+    const listNode = {
+      type: ordered ? "orderedList" : "bulletList",
+      ...withId(),
+      content: items.map((item) => ({
+        type: "listItem",
+        ...withId(),
+        content: childContent(false, item.lines),
+      })),
+    };
+
+    if (ordered) {
+      listNode.attrs = { ...listNode.attrs, order: items[0]?.number ?? 1 };
+    }
+
+    return listNode;
+  }
+
+  // Build a taskList from checklist items.
+  // taskItem content is inline only, so the item's first paragraph becomes its
+  // text; nested checklists nest as taskList children. Any other nested block
+  // can't live inside a taskList: it ends the list, and the items after it
+  // start a new one, so everything stays in the order it was written.
+  function taskList(items) {
+    const nodes = [];
+    let listNode = null;
+
+    for (const item of items) {
+      if (!listNode) {
+        listNode = { type: "taskList", attrs: { localId: uuid() }, content: [] };
+        nodes.push(listNode);
+      }
+      const [, checked, text] = item.lines[0].match(TASK_ITEM);
+      const blocks = childContent(true, [text ?? "", ...item.lines.slice(1)]);
+      const first = blocks[0].type === "paragraph" ? blocks.shift() : null;
+
+      const taskItem = {
+        type: "taskItem",
+        attrs: { localId: uuid(), state: checked === " " ? "TODO" : "DONE" },
+      };
+      if (first?.content) {
+        taskItem.content = first.content;
+      }
+      listNode.content.push(taskItem);
+
+      for (const block of blocks) {
+        if (block.type === "taskList" && listNode) {
+          listNode.content.push(block);
+        } else {
+          nodes.push(block);
+          listNode = null;
+        }
+      }
+    }
+
+    return nodes;
+  }
+
+  // listItemContent() for the children of a list item, noting whether that
+  // item is a checklist item
+  function childContent(taskItem, lines) {
+    const outer = inTaskItem;
+    inTaskItem = taskItem;
+    try {
+      return listItemContent(lines);
+    } finally {
+      inTaskItem = outer;
+    }
+  }
+
+  // Turn an expand into a nestedExpand (for expand bodies and table cells).
+  // A nestedExpand can't hold tables or another expand, so those follow it.
+  // Returns the nodes to put in place of node.
+  function nestExpand(node) {
+    if (node.type !== "expand") return [node];
+    const inside = node.content.filter((block) => NESTED_EXPAND_BLOCKS.includes(block.type));
+    const after = node.content.filter((block) => !NESTED_EXPAND_BLOCKS.includes(block.type));
+    return [{ ...node, type: "nestedExpand", content: inside.length > 0 ? inside : [paragraph("")] }, ...after];
+  }
+
+  // Expand node with its body parsed as full markdown. Expands inside an
+  // expand must be nestedExpand in ADF.
+  function expandNode(title, lines) {
+    const content = parseBlocks(lines).flatMap(nestExpand);
+    return {
+      type: "expand",
+      ...withId({ title }),
+      content: content.length > 0 ? content : [paragraph("")],
+    };
+  }
+
+  // Parse an expand section starting at lines[start], if there is one.
+  // Returns { node, next } or null.
+  function parseExpand(lines, start) {
+    const line = lines[start].trim();
+
+    const expandMatch = line.match(EXPAND_OPEN);
+    if (expandMatch) {
+      const { inner, next } = collectDirectiveBlock(lines, start);
+      return { node: expandNode(expandMatch[1] || "", inner), next };
+    }
+
+    const detailsMatch = line.match(DETAILS_OPEN);
+    if (detailsMatch) {
+      const { inner, next } = collectNestedBlock(lines, start, /^<details>/, /^<\/details>$/);
+      let title = detailsMatch[1];
+      // <summary> on its own line right after <details>
+      const firstText = inner.findIndex((l) => l.trim() !== "");
+      const summaryMatch = title === undefined && firstText >= 0 ? inner[firstText].trim().match(SUMMARY_LINE) : null;
+      if (summaryMatch) {
+        title = summaryMatch[1];
+        inner.splice(firstText, 1);
+      }
+      return { node: expandNode(title || "", inner), next };
+    }
+
+    return null;
+  }
+
+  /**
+   * Main parser
+   * @param {string} markdown
+   * @param {{cellLists?: boolean, newId?: Function, theme?: object}} [options] - plus
+   *   whatever the profile's inline() reads
+   *   cellLists - "• a<br>• b" / "- a; - b" in table cells become bullet lists
+   *   newId     - localId generator, e.g. seededIds(1) for reproducible output;
+   *               one with assign(doc) (stableIds()) rewrites the IDs at the end
+   *   theme     - house style from loadTheme() (default: the profile's theme)
+   */
+  function parseMarkdown(markdown, options = {}) {
+    documentOptions = options;
+    extensions = profile.inline(options, { uuid });
+    cellLists = options.cellLists ?? false;
+    newId = options.newId ?? randomId;
+    theme = options.theme ?? defaultTheme;
+
+    if (frontmatter) {
+      markdown = stripFrontmatter(markdown);
+
+      // Warn if content is empty after stripping frontmatter
+      if (!markdown.trim()) {
+        console.error(
+          "Warning: No content after stripping frontmatter. The document body is empty.",
+        );
+      }
+    }
+
+    // Pre-pass: [ref]: url and [^note]: text definitions, resolved by parseInline()
+    const collected = collectReferences(markdown.split("\n"));
+    references = collected.references;
+    const content = parseBlocks(collected.lines);
+
+    const doc = {
+      version: 1,
+      type: "doc",
+      content: [...content, ...notesSection()],
+    };
+    // Stable IDs come from the finished nodes (see ids.js)
+    return newId.assign ? newId.assign(doc) : doc;
+  }
+
+  // "Notes" heading and numbered list for the footnotes the document used.
+  // Notes can cite further notes, so the list grows while it is built.
+  function notesSection() {
+    const items = [];
+    const notes = references.notes();
+    for (let n = 0; n < notes.length; n++) {
+      items.push({ type: "listItem", ...withId(), content: paragraphBlocks(notes[n].text) });
+      notes.push(...references.notes().slice(notes.length));
+    }
+    if (items.length === 0) return [];
+    const title = heading(2, "Notes");
+    return [title, { type: "orderedList", attrs: localIds ? { localId: uuid(), order: 1 } : { order: 1 }, content: items }];
+  }
+
+  // Block parser - shared by the document, expands, blockquotes, list items
+  // and the profile's own blocks
+  function parseBlocks(lines) {
+    const content = [];
+    let i = 0;
+
+    scan: while (i < lines.length) {
+      const line = lines[i];
+
+      // Fenced code block: ```lang ... ```
+      const codeBlockMatch = line.match(/^```(\w*)$/);
+      if (codeBlockMatch) {
+        const language = codeBlockMatch[1] || null;
+        const codeLines = [];
+        i++;
+        while (i < lines.length && !lines[i].match(/^```$/)) {
+          codeLines.push(lines[i]);
+          i++;
+        }
+        i++; // skip closing ```
+        const codeBlock = {
+          type: "codeBlock",
+          content: [{ type: "text", text: codeLines.join("\n") }],
+        };
+        if (language) {
+          codeBlock.attrs = { language };
+        }
+        content.push(codeBlock);
+        continue;
+      }
+
+      // The profile's blocks (:::context, :::callout, ...)
+      for (const rule of blockRules) {
+        const block = rule(lines, i);
+        if (block) {
+          content.push(...block.nodes);
+          i = block.next;
+          continue scan;
+        }
+      }
+
+      // Expand: :::expand title="..." ... ::: or <details><summary>...</summary> ... </details>
+      const expandSection = parseExpand(lines, i);
+      if (expandSection) {
+        content.push(expandSection.node);
+        i = expandSection.next;
+        continue;
+      }
+
+      // Horizontal rule: ---, ***, ___
+      if (RULE.test(line)) {
+        content.push({ type: "rule" });
+        i++;
+        continue;
+      }
+
+      // Heading: ## H2 etc. within the profile's levels, or ##! H2 when the theme has that marker
+      const headingMatch = line.match(headingLine);
+      if (headingMatch && (!headingMatch[2] || theme.markers[headingMatch[2]])) {
+        const level = headingMatch[1].length;
+        content.push(heading(level, headingMatch[3], headingMatch[2]));
+        i++;
+        continue;
+      }
+
+      // Table: | header |
+      if (line.match(/^\|.*\|$/)) {
+        const tableLines = [];
+        while (i < lines.length && lines[i].match(/^\|.*\|$/)) {
+          tableLines.push(lines[i]);
+          i++;
+        }
+        let tableAttrs = {};
+        if (i < lines.length && isTableAttrLine(lines[i])) {
+          tableAttrs = parseTableAttrs(lines[i]);
+          i++;
+        }
+        if (tableLines.length >= 2) {
+          content.push(parseTable(tableLines, tableAttrs));
+        }
+        continue;
+      }
+
+      // List: - item, * item or 1. item (with optional leading whitespace).
+      // Indented markers nest; the list type follows the first marker.
+      if (line.match(LIST_ITEM)) {
+        const { listLines, ordered, next } = collectListLines(lines, i);
+        content.push(...parseList(listLines, ordered));
+        i = next;
+        continue;
+      }
+
+      // Blockquote: > text
+      if (line.match(/^>\s?/)) {
+        const quoteLines = [];
+        while (i < lines.length && lines[i].match(/^>\s?/)) {
+          // Remove the > prefix and optional space
+          quoteLines.push(lines[i].replace(/^>\s?/, ""));
+          i++;
+        }
+        // Parse the blockquote content recursively to support nested formatting.
+        // ADF has no quote inside a quote, so a nested one's blocks join this one.
+        const quoteContent = parseBlocks(quoteLines).flatMap((node) => (node.type === "blockquote" ? node.content : node));
+        content.push({
+          type: "blockquote",
+          content: quoteContent.length > 0 ? quoteContent : [paragraph("")],
+        });
+        continue;
+      }
+
+      // Empty line
+      if (line.trim() === "") {
+        i++;
+        continue;
+      }
+
+      // Regular paragraph: this line and the ones after it, up to a blank line
+      // or another block. The first line always belongs to it, so a line that
+      // only looks like an opener (":::unknown", "```js title") can't stall the loop.
+      const start = i;
+      do {
+        i++;
+      } while (i < lines.length && !paragraphEnd.test(lines[i]));
+      content.push(...paragraphBlocks(lines.slice(start, i)));  // Pass array to insert hardBreaks
+    }
+
+    return content;
+  }
+
+  return {
+    parseMarkdown,
+    parseInline,
+    parseBlocks,
+    paragraph,
+    paragraphBlocks,
+    heading,
+    parseExpand,
+    nestExpand,
+    collectNestedBlock,
+    collectDirectiveBlock,
+    uuid,
+    currentTheme,
+    currentOptions,
+  };
+}
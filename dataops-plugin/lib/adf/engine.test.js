@@ -0,0 +1,127 @@
+#!/usr/bin/env bun
+/**
+ * Tests for engine.js
+ * Run with: bun test engine.test.js
+ *
+ * The shared block syntax is covered through both real profiles by
+ * parity.test.js and conformance.test.js; these tests use small profiles of
+ * their own to pin down what a profile controls.
+ */
+
+import { describe, test, expect } from "bun:test";
+import { createConverter, stripFrontmatter } from "./engine.js";
+import { dateExtension } from "./inline.js";
+import { seededIds } from "./ids.js";
+
+// {ticket:123} -> text "#123"
+function ticketExtension() {
+  const pattern = /\{ticket:(\d+)\}/y;
+  return {
+    triggers: "{",
+    match(text, pos) {
+      pattern.lastIndex = pos;
+      const m = pattern.exec(text);
+      return m ? { node: { type: "text", text: `#${m[1]}` }, end: pos + m[0].length } : null;
+    },
+  };
+}
+
+// :::shout ... ::: -> one paragraph in capitals
+function shoutRule(converter, lines, i) {
+  if (lines[i].trim() !== ":::shout") return null;
+  const { inner, next } = converter.collectDirectiveBlock(lines, i);
+  return { nodes: [converter.paragraph(inner.join(" ").toUpperCase())], next };
+}
+
+function makeConverter(overrides = {}) {
+  const converter = createConverter({
+    theme: "jira",
+    headingLevels: [2, 3],
+    inline: () => [dateExtension(), ticketExtension()],
+    blocks: [(lines, i) => shoutRule(converter, lines, i)],
+    ...overrides,
+  });
+  return converter;
+}
+
+describe("createConverter", () => {
+  test("profile block rules run before the built-in blocks", () => {
+    const { parseMarkdown } = makeConverter();
+    const adf = parseMarkdown(":::shout\nlag is up\n:::\nAfter");
+    expect(adf.content).toEqual([
+      { type: "paragraph", content: [{ type: "text", text: "LAG IS UP" }] },
+      { type: "paragraph", content: [{ type: "text", text: "After" }] },
+    ]);
+  });
+
+  test("inline extensions come from the profile, per document", () => {
+    const { parseMarkdown } = makeConverter({
+      inline: (options) => (options.tickets ? [ticketExtension()] : []),
+    });
+    expect(parseMarkdown("See {ticket:42}", { tickets: true }).content[0].content).toEqual([
+      { type: "text", text: "See #42" },
+    ]);
+    expect(parseMarkdown("See {ticket:42}").content[0].content).toEqual([{ type: "text", text: "See {ticket:42}" }]);
+  });
+
+  test("heading levels outside the profile's range stay text", () => {
+    const { parseMarkdown } = makeConverter();
+    const types = parseMarkdown("# One\n\n## Two\n\n#### Four").content.map((n) => n.type);
+    expect(types).toEqual(["paragraph", "heading", "paragraph"]);
+  });
+
+  test("localIds on every block node", () => {
+    const { parseMarkdown } = makeConverter({ localIds: true });
+    const adf = parseMarkdown("## Title\n\n- item\n\n| a |\n|---|\n| b |", { newId: seededIds("engine") });
+    const [heading, list, table] = adf.content;
+
+    expect(heading.attrs).toEqual({ level: 2, localId: expect.any(String) });
+    expect(list.attrs.localId).toBeString();
+    expect(list.content[0].attrs.localId).toBeString();
+    expect(list.content[0].content[0].attrs.localId).toBeString();
+    expect(table.content[0].attrs.localId).toBeString();
+    expect(table.content[0].content[0].attrs).toEqual({ colspan: 1, rowspan: 1, localId: expect.any(String) });
+    expect(table.attrs.isNumberColumnEnabled).toBeUndefined();
+  });
+
+  test("without localIds only tables and tasks get ids", () => {
+    const { parseMarkdown } = makeConverter({ tableLayout: "align-start" });
+    const [heading, table] = parseMarkdown("## Title\n\n| a |\n|---|\n| b |").content;
+
+    expect(heading.attrs).toEqual({ level: 2 });
+    expect(table.attrs).toEqual({ isNumberColumnEnabled: false, layout: "align-start", localId: expect.any(String) });
+    expect(table.content[0].attrs).toBeUndefined();
+  });
+
+  test("frontmatter is stripped only when the profile asks", () => {
+    const md = "---\ntitle: Runbook\n---\nBody";
+    expect(makeConverter({ frontmatter: true }).parseMarkdown(md).content).toHaveLength(1);
+    expect(makeConverter().parseMarkdown(md).content.map((n) => n.type)).toEqual(["rule", "paragraph", "rule", "paragraph"]);
+  });
+
+  test("block rules see the document's options", () => {
+    // :::who -> the team passed to parseMarkdown()
+    const whoRule = (lines, i) =>
+      lines[i] === ":::who" ? { nodes: [converter.paragraph(converter.currentOptions().team)], next: i + 1 } : null;
+    const converter = makeConverter({ blocks: [whoRule] });
+    expect(converter.parseMarkdown(":::who", { team: "Platform" }).content[0].content).toEqual([
+      { type: "text", text: "Platform" },
+    ]);
+  });
+
+  test("converters keep their state apart", () => {
+    const a = makeConverter({ localIds: true });
+    const b = makeConverter();
+    a.parseMarkdown("x", { newId: () => "fixed" });
+    expect(b.parseMarkdown("y").content[0].attrs).toBeUndefined();
+    expect(a.parseMarkdown("z", { newId: () => "again" }).content[0].attrs.localId).toBe("again");
+  });
+});
+
+describe("stripFrontmatter", () => {
+  test("drops the block between the first two --- lines", () => {
+    expect(stripFrontmatter("---\na: 1\n---\nBody")).toBe("Body");
+    expect(stripFrontmatter("Body\n---\nmore")).toBe("Body\n---\nmore");
+    expect(stripFrontmatter("---\nunclosed")).toBe("---\nunclosed");
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * ids.js - localId generators for the markdown converters
+ *
+ * Converters stamp random UUIDs on tables, statuses, task items, ... so each
+ * publish gets fresh IDs. Tests, fixture diffs and no-op publish checks need
+ * the same IDs every run:
+ *
+ *   md-to-adf.js --seed 1 < draft.md       # same input + seed -> same output
+ *   md-to-adf.js --stable-ids < draft.md   # each block's ID from its own content
+ *   parseMarkdown(md, { newId: stableIds() })
+ */
+
+import { createHash } from "node:crypto";
+
+/**
+ * Random v4 UUIDs (the default).
+ * @returns {string}
+ */
+export function randomId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Deterministic generator of UUID-shaped IDs.
+ * @param {number|string} seed - numbers (and digit strings from --seed) are used as is,
+ *   other strings are hashed
+ * @returns {() => string}
+ */
+export function seededIds(seed) {
+  let state = /^\d+$/.test(String(seed)) ? Number(seed) >>> 0 : hashSeed(String(seed));
+
+  // mulberry32 - small, fast, good enough to avoid collisions within a document
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+
+  return () => uuidFromHex([next(), next(), next(), next()].map((n) => n.toString(16).padStart(8, "0")).join(""));
+}
+
+/**
+ * Content-derived IDs: each localId (and macroId) is a hash of its node's type
+ * and content, so an unchanged draft converts to a byte-identical document and
+ * editing one block leaves every other block's ID alone. Identical nodes are
+ * told apart by how many came before them.
+ *
+ * IDs handed out while converting are placeholders; the converter calls
+ * assign(doc) once the document is built to put the real ones in.
+ * @returns {(() => string) & {assign: (doc: object) => object}}
+ */
+export function stableIds() {
+  const next = seededIds("stable-ids");
+  next.assign = assignStableIds;
+  return next;
+}
+
+/**
+ * Pick the localId generator for a converter run: --seed wins, then
+ * --stable-ids (or ADF_STABLE_IDS=1 in the environment), else random.
+ * @param {{seed?: string, stable?: boolean}} flags
+ * @returns {() => string}
+ */
+export function idGenerator({ seed, stable = false }) {
+  if (seed !== undefined) return seededIds(seed);
+  if (stable || /^(1|true|yes)$/i.test(process.env.ADF_STABLE_IDS || "")) return stableIds();
+  return randomId;
+}
+
+// Replace the IDs in doc (in place) with content-derived ones, see stableIds()
+function assignStableIds(doc) {
+  const seen = new Map();
+  const withoutIds = (key, value) => (key === "localId" || key === "macroId" ? undefined : value);
+
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== "object") return;
+    if (node.type && node.attrs) {
+      const key = `${node.type}:${JSON.stringify(node, withoutIds)}`;
+      const n = seen.get(key) ?? 0;
+      seen.set(key, n + 1);
+      const id = (salt) => uuidFromHex(createHash("sha256").update(`${key}:${n}${salt}`).digest("hex"));
+      if (node.attrs.localId) node.attrs.localId = id("");
+      const macroId = node.attrs.parameters?.macroMetadata?.macroId;
+      if (macroId) macroId.value = id(":macro");
+    }
+    visit(node.content);
+  };
+
+  visit(doc);
+  return doc;
+}
+
+// 32+ hex digits -> v4-shaped UUID
+function uuidFromHex(digits) {
+  const variant = "89ab"[parseInt(digits[16], 16) & 3];
+  return `${digits.slice(0, 8)}-${digits.slice(8, 12)}-4${digits.slice(13, 16)}-${variant}${digits.slice(17, 20)}-${digits.slice(20, 32)}`;
+}
+
+// FNV-1a, so "--seed fixtures" works as well as "--seed 42"
+function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash;
+}
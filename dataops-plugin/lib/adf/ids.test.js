@@ -0,0 +1,60 @@
+#!/usr/bin/env bun
+/**
+ * Tests for ids.js
+ * Run with: bun test ids.test.js
+ */
+
+import { describe, test, expect } from "bun:test";
+import { randomId, seededIds, stableIds, idGenerator } from "./ids.js";
+
+const UUID_V4 = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe("ids", () => {
+  test("random ids are v4 UUIDs", () => {
+    expect(randomId()).toMatch(UUID_V4);
+  });
+
+  test("same seed, same sequence", () => {
+    const a = seededIds(7);
+    const b = seededIds(7);
+    expect([a(), a(), a()]).toEqual([b(), b(), b()]);
+  });
+
+  test("seeded ids are UUID-shaped and distinct", () => {
+    const next = seededIds("fixtures");
+    const ids = Array.from({ length: 500 }, next);
+    expect(ids.every((id) => UUID_V4.test(id))).toBe(true);
+    expect(new Set(ids).size).toBe(500);
+  });
+
+  test("stable ids follow each node's own content", () => {
+    const doc = (...texts) => ({
+      type: "doc",
+      content: texts.map((text) => ({ type: "paragraph", attrs: { localId: randomId() }, content: [{ type: "text", text }] })),
+    });
+    const ids = (adf) => adf.content.map((node) => node.attrs.localId);
+    const before = ids(stableIds().assign(doc("a", "b", "c")));
+
+    expect(ids(stableIds().assign(doc("a", "b", "c")))).toEqual(before);
+    expect(ids(stableIds().assign(doc("a", "edited", "c")))).toEqual([before[0], expect.any(String), before[2]]);
+    expect(ids(stableIds().assign(doc("new", "a", "b", "c"))).slice(1)).toEqual(before);
+    expect(before.every((id) => UUID_V4.test(id))).toBe(true);
+  });
+
+  test("identical nodes get distinct stable ids", () => {
+    const node = () => ({ type: "status", attrs: { text: "OK", localId: randomId() } });
+    const adf = stableIds().assign({ type: "doc", content: [node(), node()] });
+    expect(adf.content[0].attrs.localId).not.toBe(adf.content[1].attrs.localId);
+  });
+
+  test("generator choice: seed, then stable, else random", () => {
+    expect(idGenerator({ seed: "1", stable: true })()).toBe(seededIds(1)());
+    expect(idGenerator({ stable: true }).assign).toBeFunction();
+    expect(idGenerator({})).toBe(randomId);
+  });
+
+  test("digit strings match numeric seeds, other seeds differ", () => {
+    expect(seededIds("42")()).toBe(seededIds(42)());
+    expect(seededIds("a")()).not.toBe(seededIds("b")());
+  });
+});
@@ -0,0 +1,694 @@
+/**
+ * inline.js - Markdown inline parser shared by the Jira and Confluence converters
+ *
+ * Follows the CommonMark delimiter-run rules for emphasis, so nested and
+ * overlapping markup works:
+ *   **bold with *italic* inside**, _em_, __strong__, ~~strike~~
+ *   `code` (any backtick run length), \* backslash escapes
+ *   [text](url "title"), <https://autolink>, bare https:// and www. URLs
+ *   [text][ref], [ref] and [^note] footnotes, given options.references (references.js)
+ *
+ * Converter-specific syntax ({status:...}, {date:...}, :emoji:, @mentions,
+ * Jira keys, {pageCard:...}) plugs in as extensions - see the factories at the bottom.
+ *
+ * Images (![alt](src){width=50%}) become mediaSingle nodes when the caller
+ * asks for them (options.images) and can split them out of the paragraph -
+ * see media.js. Elsewhere they degrade to their alt text.
+ *
+ * Usage:
+ *   import { parseInline, statusExtension } from "../../../lib/adf/inline.js";
+ *   parseInline("**hi** {status:OK:green}", { extensions: [statusExtension({ newId })] });
+ */
+
+import { mediaSingle, isExternal, parseImageAttrs } from "./media.js";
+import { lookupEmoji } from "./emoji.js";
+
+// ASCII punctuation that can be backslash-escaped
+const ESCAPABLE = new Set("!\"#$%&'()*+,-./:;<=>?@[\\]^_`{|}~");
+
+// Unicode-aware character classes for the flanking rules
+const WHITESPACE = /\s/;
+const PUNCTUATION = /[\p{P}\p{S}]/u;
+
+// Link destination after "]": (url) or (url "title"), one level of parens in url
+const LINK_DEST = /\(\s*(<[^<>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+"([^"]*)")?\s*\)/y;
+
+// Longest link label CommonMark allows; longer bracketed text is never a reference
+const MAX_LABEL = 999;
+
+// [label] after "]" of a reference link ([text][label], or [text][] for the text itself)
+const REF_LABEL = new RegExp(`\\[([^[\\]]{0,${MAX_LABEL}})\\]`, "y");
+
+// [^id] footnote reference
+const FOOTNOTE_REF = /\[\^([^\]\s]+)\]/y;
+
+// {width=50% layout=wide} directly after an image
+const IMAGE_ATTRS = /\{([^{}\n]*=[^{}\n]*)\}/y;
+
+// <scheme://...> autolink
+const AUTOLINK = /<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/y;
+
+// Bare URL (GFM extended autolink); trailing punctuation is trimmed afterwards
+const BARE_URL = /(?:https?:\/\/|www\.)[^\s<]+/y;
+
+function isWhitespace(ch) {
+  return ch === undefined || WHITESPACE.test(ch);
+}
+
+function isPunctuation(ch) {
+  return ch !== undefined && PUNCTUATION.test(ch);
+}
+
+// CommonMark left/right-flanking delimiter run checks.
+// prev/next are the characters around the run (undefined at line edges).
+function flanking(prev, next) {
+  const left = !isWhitespace(next) && (!isPunctuation(next) || isWhitespace(prev) || isPunctuation(prev));
+  const right = !isWhitespace(prev) && (!isPunctuation(prev) || isWhitespace(next) || isPunctuation(next));
+  return { left, right };
+}
+
+// Trim trailing punctuation from a bare URL, keeping balanced parens
+function trimBareUrl(url) {
+  let end = url.length;
+  while (end > 0) {
+    const ch = url[end - 1];
+    if ("?!.,:*_~'\"".includes(ch)) {
+      end--;
+    } else if (ch === ")") {
+      const slice = url.slice(0, end);
+      const opens = slice.split("(").length - 1;
+      const closes = slice.split(")").length - 1;
+      if (closes > opens) end--;
+      else break;
+    } else {
+      break;
+    }
+  }
+  return url.slice(0, end);
+}
+
+/*
+ * Scanning produces a flat list of items:
+ *   { kind: "text", text }
+ *   { kind: "code", text }
+ *   { kind: "node", node, source }      - extension/inline node (source kept for link text)
+ *   { kind: "delim", char, count, origCount, canOpen, canClose }
+ *   { kind: "bracket", active, image, start } - "[" or "![" waiting for its "]" (start: text index after it)
+ *   { kind: "image", src, alt, attrs }
+ *   { kind: "mark", mark, children }    - emphasis or link wrapping items
+ */
+
+// Does the run of delimiters at opener/closer pair under the "rule of 3"?
+function canPair(opener, closer) {
+  if (opener.char !== closer.char) return false;
+  if (opener.char === "~") return opener.count === closer.count;
+  if ((opener.canClose || closer.canOpen) &&
+      (opener.origCount + closer.origCount) % 3 === 0 &&
+      !(opener.origCount % 3 === 0 && closer.origCount % 3 === 0)) {
+    return false;
+  }
+  return true;
+}
+
+// CommonMark "process emphasis" over items[bottom..]. items[bottom..] is
+// rebuilt as a stack: each item is pushed once, and a closer that pairs pops
+// everything above its opener into the new mark, so no mid-array splicing.
+function processEmphasis(items, bottom) {
+  // Per kind of closer, the index below which no opener can pair with it
+  // (CommonMark's openers_bottom). Keeps runs of unmatched closers linear.
+  const floors = new Map();
+  for (const item of items.splice(bottom)) {
+    if (item.kind === "delim" && item.canClose) {
+      pairCloser(items, item, bottom, floors);
+      if (item.count === 0) continue;
+    }
+    items.push(item);
+  }
+}
+
+// Pair a closer with openers on the stack until it is used up or none fit
+function pairCloser(items, closer, bottom, floors) {
+  const key = `${closer.char}${closer.canOpen}${closer.origCount % 3}`;
+  while (closer.count > 0) {
+    const floor = floors.get(key) ?? bottom;
+    let o = items.length - 1;
+    while (o >= floor && !(items[o].kind === "delim" && items[o].canOpen && canPair(items[o], closer))) {
+      o--;
+    }
+    if (o < floor) {
+      floors.set(key, items.length);
+      return;
+    }
+
+    const opener = items[o];
+    let use;
+    let markType;
+    if (closer.char === "~") {
+      use = closer.count;
+      markType = "strike";
+    } else {
+      use = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+      markType = use === 2 ? "strong" : "em";
+    }
+
+    // Delimiters between opener and closer stay literal
+    const container = { kind: "mark", mark: { type: markType }, children: items.splice(o + 1) };
+    opener.count -= use;
+    closer.count -= use;
+    if (opener.count === 0) items.pop();
+    items.push(container);
+    // The stack above o was replaced; floors past it drop back to stay safe
+    for (const [k, f] of floors) {
+      if (f > o) floors.set(k, o);
+    }
+  }
+}
+
+// Characters the scanner always stops at; extension triggers are added per list
+const SYNTAX_CHARS = "\\`<hw*_~[]!";
+const NO_EXTENSIONS = [];
+
+// Per extension list: trigger character -> extensions (in list order), and a
+// sticky pattern matching a run of characters that can't start any syntax
+const scanTables = new WeakMap();
+
+function scanTable(extensions) {
+  let table = scanTables.get(extensions);
+  if (!table) {
+    const byTrigger = new Map();
+    for (const ext of extensions) {
+      const triggers = ext.triggers === "A-Z" ? "ABCDEFGHIJKLMNOPQRSTUVWXYZ" : ext.triggers;
+      for (const ch of triggers) {
+        byTrigger.set(ch, [...(byTrigger.get(ch) || []), ext]);
+      }
+    }
+    const stops = new Set([...SYNTAX_CHARS, ...byTrigger.keys()]);
+    const charClass = [...stops].map((ch) => ch.replace(/[\\\]^-]/, "\\$&")).join("");
+    table = { byTrigger, plain: new RegExp(`[^${charClass}]+`, "y") };
+    scanTables.set(extensions, table);
+  }
+  return table;
+}
+
+// Scan source text into items, resolving code spans, links and emphasis.
+// One pass over the text by index: plain runs are skipped with a single
+// regex step and only syntax characters are looked at one by one.
+function scan(text, extensions, references) {
+  const { byTrigger, plain } = scanTable(extensions);
+  const items = [];
+  // Open "[" / "![" items, innermost last. Active ones are always on top:
+  // forming a link deactivates every opener below it.
+  const brackets = [];
+  // Backtick run lengths with no closer after some point, so none later either
+  const unclosedFences = new Set();
+  let textStart = 0;
+  let pos = 0;
+
+  const flushText = (end) => {
+    if (end > textStart) items.push({ kind: "text", text: text.slice(textStart, end) });
+  };
+
+  while (pos < text.length) {
+    plain.lastIndex = pos;
+    if (plain.test(text)) {
+      pos = plain.lastIndex;
+      continue;
+    }
+    const ch = text[pos];
+
+    // Backslash escape
+    if (ch === "\\" && ESCAPABLE.has(text[pos + 1])) {
+      flushText(pos);
+      items.push({ kind: "text", text: text[pos + 1] });
+      pos += 2;
+      textStart = pos;
+      continue;
+    }
+
+    // Code span: matching backtick run of the same length
+    if (ch === "`") {
+      let runEnd = pos;
+      while (text[runEnd] === "`") runEnd++;
+      const fence = text.slice(pos, runEnd);
+      let search = unclosedFences.has(fence.length) ? -1 : runEnd;
+      let close = -1;
+      while (search !== -1 && (search = text.indexOf(fence, search)) !== -1) {
+        if (text[search + fence.length] !== "`" && text[search - 1] !== "`") {
+          close = search;
+          break;
+        }
+        while (text[search] === "`") search++;
+      }
+      flushText(pos);
+      if (close === -1) {
+        unclosedFences.add(fence.length);
+        items.push({ kind: "text", text: fence });
+        pos = runEnd;
+      } else {
+        let code = text.slice(runEnd, close);
+        if (code.length > 2 && code.startsWith(" ") && code.endsWith(" ") && code.trim() !== "") {
+          code = code.slice(1, -1);
+        }
+        items.push({ kind: "code", text: code });
+        pos = close + fence.length;
+      }
+      textStart = pos;
+      continue;
+    }
+
+    // Autolink: <https://...>
+    if (ch === "<") {
+      AUTOLINK.lastIndex = pos;
+      const auto = AUTOLINK.exec(text);
+      if (auto) {
+        flushText(pos);
+        items.push({
+          kind: "mark",
+          mark: { type: "link", attrs: { href: auto[1] } },
+          children: [{ kind: "text", text: auto[1] }],
+        });
+        pos += auto[0].length;
+        textStart = pos;
+        continue;
+      }
+    }
+
+    // Bare URL at a word boundary
+    if ((ch === "h" || ch === "w") && !/[A-Za-z0-9]/.test(text[pos - 1] || "")) {
+      BARE_URL.lastIndex = pos;
+      const bare = BARE_URL.exec(text);
+      if (bare) {
+        // Inside link text the URL ends at "]" - [https://a.io](https://a.io)
+        const inBrackets = brackets.length > 0 && brackets[brackets.length - 1].active;
+        const url = trimBareUrl(inBrackets ? bare[0].split("]")[0] : bare[0]);
+        if (url.length > 0 && !/^(https?:\/\/|www\.)$/.test(url)) {
+          flushText(pos);
+          items.push({
+            kind: "mark",
+            mark: { type: "link", attrs: { href: url.startsWith("www.") ? `http://${url}` : url } },
+            children: [{ kind: "text", text: url }],
+          });
+          pos += url.length;
+          textStart = pos;
+          continue;
+        }
+      }
+    }
+
+    // Emphasis / strike delimiter runs
+    if (ch === "*" || ch === "_" || ch === "~") {
+      let runEnd = pos;
+      while (text[runEnd] === ch) runEnd++;
+      const count = runEnd - pos;
+      // Only ~~ is strike; single ~ (paths like ~/.config) stays literal
+      if (ch !== "~" || count === 2) {
+        const prev = text[pos - 1];
+        const next = text[runEnd];
+        const { left, right } = flanking(prev, next);
+        let canOpen = left;
+        let canClose = right;
+        if (ch === "_") {
+          canOpen = left && (!right || isPunctuation(prev));
+          canClose = right && (!left || isPunctuation(next));
+        }
+        flushText(pos);
+        items.push({ kind: "delim", char: ch, count, origCount: count, canOpen, canClose, source: text.slice(pos, runEnd) });
+        pos = runEnd;
+        textStart = pos;
+        continue;
+      }
+      pos = runEnd;
+      continue;
+    }
+
+    // Footnote reference: [^id] with a definition
+    if (ch === "[" && text[pos + 1] === "^" && references) {
+      FOOTNOTE_REF.lastIndex = pos;
+      const ref = FOOTNOTE_REF.exec(text);
+      const note = ref && references.footnote(ref[1]);
+      if (note) {
+        flushText(pos);
+        items.push({ kind: "node", node: footnoteNode(note), source: ref[0] });
+        pos += ref[0].length;
+        textStart = pos;
+        continue;
+      }
+    }
+
+    // Link or image opener
+    if (ch === "[" || (ch === "!" && text[pos + 1] === "[")) {
+      flushText(pos);
+      const image = ch === "!";
+      // index: where the bracket sits in items - nothing below it moves until it closes
+      const bracket = { kind: "bracket", active: true, image, start: pos + (image ? 2 : 1), index: items.length };
+      items.push(bracket);
+      brackets.push(bracket);
+      pos += image ? 2 : 1;
+      textStart = pos;
+      continue;
+    }
+
+    // Link closer: [text](dest) or a reference link
+    if (ch === "]") {
+      const bracket = brackets.pop();
+      const open = bracket ? bracket.index : -1;
+      const dest = open >= 0 && bracket.active ? linkTarget(text, pos, bracket, references) : null;
+      flushText(pos);
+      if (dest && bracket.image) {
+        const children = items.splice(open + 1);
+        items.pop(); // the bracket
+        pos += 1 + dest.length;
+        IMAGE_ATTRS.lastIndex = pos;
+        const attrBlock = IMAGE_ATTRS.exec(text);
+        const attrs = attrBlock && parseImageAttrs(attrBlock[1]);
+        if (attrs) pos += attrBlock[0].length;
+        items.push({ kind: "image", src: dest.href, alt: plainText(children), attrs: attrs ?? {} });
+      } else if (dest) {
+        processEmphasis(items, open + 1);
+        const attrs = dest.title !== undefined ? { href: dest.href, title: dest.title } : { href: dest.href };
+        const children = items.splice(open + 1);
+        items.pop(); // the bracket
+        items.push({ kind: "mark", mark: { type: "link", attrs }, children });
+        // No links inside links: earlier openers can't form links any more
+        for (let b = brackets.length - 1; b >= 0 && brackets[b].active; b--) {
+          brackets[b].active = false;
+        }
+        pos += 1 + dest.length;
+      } else {
+        if (open >= 0) items[open] = { kind: "text", text: items[open].image ? "![" : "[" };
+        items.push({ kind: "text", text: "]" });
+        pos++;
+      }
+      textStart = pos;
+      continue;
+    }
+
+    // Converter extensions ({status:...}, @mention, PROJ-123, ...)
+    let matched = null;
+    for (const ext of byTrigger.get(ch) || NO_EXTENSIONS) {
+      matched = ext.match(text, pos);
+      if (matched) break;
+    }
+    if (matched) {
+      flushText(pos);
+      items.push({ kind: "node", node: matched.node, source: text.slice(pos, matched.end) });
+      pos = matched.end;
+      textStart = pos;
+      continue;
+    }
+
+    pos++;
+  }
+  flushText(pos);
+
+  processEmphasis(items, 0);
+  return items;
+}
+
+// Destination after the "]" at pos: inline (url "title"), else a reference
+// definition for [text][label], [text][] or [text]. Returns { href, title, length }
+// where length is what follows the "]", or null.
+function linkTarget(text, pos, bracket, references) {
+  LINK_DEST.lastIndex = pos + 1;
+  const inline = LINK_DEST.exec(text);
+  if (inline) {
+    return { href: inline[1].replace(/^<|>$/g, ""), title: inline[2], length: inline[0].length };
+  }
+  if (!references) return null;
+
+  REF_LABEL.lastIndex = pos + 1;
+  const label = REF_LABEL.exec(text);
+  const explicit = label && label[1].trim();
+  // The link text is the label - too long to be one, don't copy it out
+  if (!explicit && pos - bracket.start > MAX_LABEL) return null;
+  const def = references.link(explicit ? label[1] : text.slice(bracket.start, pos));
+  return def && { href: def.href, title: def.title, length: label ? label[0].length : 0 };
+}
+
+// Superscript footnote number, linked to the note's URL when it has one.
+// (Neither Jira nor Confluence keeps in-page anchors in ADF, so "#fn1" links would be dead.)
+function footnoteNode(note) {
+  const sup = { type: "subsup", attrs: { type: "sup" } };
+  return {
+    type: "text",
+    text: String(note.number),
+    marks: note.href ? [{ type: "link", attrs: { href: note.href } }, sup] : [sup],
+  };
+}
+
+// Text of items without any markup (image alt text)
+function plainText(items) {
+  return items
+    .map((item) => {
+      if (item.kind === "mark") return plainText(item.children);
+      if (item.kind === "delim") return item.source;
+      if (item.kind === "bracket") return item.image ? "![" : "[";
+      if (item.kind === "node") return item.source;
+      if (item.kind === "image") return item.alt;
+      return item.text;
+    })
+    .join("");
+}
+
+// Flatten items into ADF inline nodes, applying the enclosing marks
+function flatten(items, marks, inLink, out, options) {
+  for (const item of items) {
+    switch (item.kind) {
+      case "text":
+        out.push(textNode(item.text, marks));
+        break;
+      case "code":
+        // code only combines with link in ADF
+        out.push(textNode(item.text, [...marks.filter((m) => m.type === "link"), { type: "code" }]));
+        break;
+      case "delim":
+        out.push(textNode(item.source.slice(0, item.count), marks));
+        break;
+      case "bracket":
+        out.push(textNode(item.image ? "![" : "[", marks));
+        break;
+      case "image":
+        if (options.images) {
+          out.push(mediaSingle({ src: item.src, alt: item.alt, ...item.attrs }));
+        } else {
+          // No room for media here - keep the alt text, linked when it's a URL
+          const label = item.alt || item.src;
+          out.push(textNode(label, isExternal(item.src) ? [...marks, { type: "link", attrs: { href: item.src } }] : marks));
+        }
+        break;
+      case "node":
+        // Smart nodes can't carry marks, and link text must stay text
+        if (inLink) {
+          out.push(textNode(item.source, marks));
+        } else if (item.node.type === "text") {
+          out.push(textNode(item.node.text, [...marks, ...(item.node.marks || [])]));
+        } else {
+          out.push(item.node);
+        }
+        break;
+      case "mark":
+        if (item.mark.type === "link") {
+          // The outermost link wins
+          flatten(item.children, inLink ? marks : [...marks, item.mark], true, out, options);
+        } else if (marks.some((m) => m.type === item.mark.type)) {
+          flatten(item.children, marks, inLink, out, options);
+        } else {
+          flatten(item.children, [...marks, item.mark], inLink, out, options);
+        }
+        break;
+    }
+  }
+  return out;
+}
+
+function textNode(text, marks) {
+  return marks.length > 0 ? { type: "text", text, marks } : { type: "text", text };
+}
+
+function sameMarks(a, b) {
+  if (a === undefined || b === undefined) return a === b;
+  return a.length === b.length && JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Merge adjacent text nodes that carry the same marks
+function mergeText(nodes) {
+  const merged = [];
+  for (const node of nodes) {
+    if (node.type === "text" && node.text === "") continue;
+    const last = merged[merged.length - 1];
+    if (last?.type === "text" && node.type === "text" && sameMarks(last.marks, node.marks)) {
+      last.text += node.text;
+    } else {
+      merged.push(node.type === "text" ? { ...node } : node);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Parse one line of markdown inline syntax into ADF inline nodes.
+ * @param {string} text - Markdown text (no newlines)
+ * @param {{extensions?: Array<{triggers: string, match: Function}>, images?: boolean,
+ *   references?: object}} [options]
+ *   images     - emit mediaSingle nodes for images (caller splits them out with splitMedia)
+ *   references - link and footnote definitions from collectReferences() (references.js)
+ * @returns {Array<object>} ADF inline nodes
+ */
+export function parseInline(text, options = {}) {
+  const items = scan(text, options.extensions || NO_EXTENSIONS, options.references);
+  return mergeText(flatten(items, [], false, [], options));
+}
+
+// --- Extensions ---
+// Each extension has `triggers` (characters that can start it, or "A-Z")
+// and `match(text, pos)` returning { node, end } or null.
+
+/**
+ * Status lozenge: {status:TEXT:color}
+ * @param {{newId: Function, style?: string}} options
+ */
+export function statusExtension({ newId, style = "" }) {
+  const pattern = /\{status:([^:}]+):(\w+)\}/y;
+  return {
+    triggers: "{",
+    match(text, pos) {
+      pattern.lastIndex = pos;
+      const m = pattern.exec(text);
+      if (!m) return null;
+      return {
+        node: { type: "status", attrs: { text: m[1], color: m[2], localId: newId(), style } },
+        end: pos + m[0].length,
+      };
+    },
+  };
+}
+
+/**
+ * Date pill: {date:2025-03-01}. The timestamp is UTC midnight in epoch
+ * milliseconds, as ADF expects; Jira and Confluence localize it for display.
+ * Dates that don't exist ({date:2025-02-30}, {date:next week}) stay text,
+ * like unknown emoji.
+ */
+export function dateExtension() {
+  const pattern = /\{date:([^}]*)\}/y;
+  return {
+    triggers: "{",
+    match(text, pos) {
+      pattern.lastIndex = pos;
+      const m = pattern.exec(text);
+      const node = m && dateNode(m[1]);
+      if (!node) return null;
+      return { node, end: pos + m[0].length };
+    },
+  };
+}
+
+/**
+ * Date node for a YYYY-MM-DD string, as {date:...} gives it.
+ * @param {string} value
+ * @returns {object|null} ADF date node, or null when the date doesn't exist
+ */
+export function dateNode(value) {
+  const time = parseDate(value);
+  return time === null ? null : { type: "date", attrs: { timestamp: String(time) } };
+}
+
+// YYYY-MM-DD -> epoch ms at UTC midnight; null for dates that don't exist (2025-02-30)
+function parseDate(value) {
+  const m = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const time = m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : NaN;
+  if (Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value.trim()) {
+    return null;
+  }
+  return time;
+}
+
+/**
+ * Emoji: :tada:, :check_mark:. Shortcodes missing from emoji.js stay text,
+ * so times like 10:30:45 are left alone.
+ */
+export function emojiExtension() {
+  const pattern = /:([a-z0-9_+-]+):/y;
+  return {
+    triggers: ":",
+    match(text, pos) {
+      pattern.lastIndex = pos;
+      const m = pattern.exec(text);
+      const emoji = m && lookupEmoji(m[1]);
+      if (!emoji) return null;
+      return { node: { type: "emoji", attrs: emoji }, end: pos + m[0].length };
+    },
+  };
+}
+
+/**
+ * Mention: @alice@corp.com. Emits an __EMAIL__ placeholder id that must be
+ * resolved to an account ID before publishing.
+ */
+export function mentionExtension() {
+  const pattern = /@([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/y;
+  return {
+    triggers: "@",
+    match(text, pos) {
+      pattern.lastIndex = pos;
+      const m = pattern.exec(text);
+      if (!m) return null;
+      return {
+        node: { type: "mention", attrs: { id: `__EMAIL__:${m[1]}`, text: `@${m[1]}`, accessLevel: "" } },
+        end: pos + m[0].length,
+      };
+    },
+  };
+}
+
+/**
+ * Jira issue key (PROJ-123), only at word boundaries. Code spans, link text
+ * and URLs never reach extensions, so keys there are left alone.
+ * @param {{baseUrl: string, projects?: string[]|null, mode?: "card"|"link"}} options
+ *   projects - allowlist of project keys (null links any KEY-123, including UTF-8)
+ *   mode     - "card" for an inlineCard, "link" for the key as linked text
+ */
+export function jiraKeyExtension({ baseUrl, projects = null, mode = "card" }) {
+  const pattern = /([A-Z][A-Z0-9]+)-\d+(?![A-Za-z0-9])/y;
+  const allowed = projects ? new Set(projects) : null;
+  return {
+    triggers: "A-Z",
+    match(text, pos) {
+      if (/[A-Za-z0-9]/.test(text[pos - 1] || "")) return null;
+      pattern.lastIndex = pos;
+      const m = pattern.exec(text);
+      if (!m || (allowed && !allowed.has(m[1]))) return null;
+      const url = `${baseUrl.replace(/\/$/, "")}/browse/${m[0]}`;
+      const node = mode === "link"
+        ? { type: "text", text: m[0], marks: [{ type: "link", attrs: { href: url } }] }
+        : { type: "inlineCard", attrs: { url } };
+      return { node, end: pos + m[0].length };
+    },
+  };
+}
+
+/**
+ * Parse a project allowlist such as "PE, ML,DATA".
+ * @param {string|undefined} value
+ * @returns {string[]|null} project keys, or null when unset/empty
+ */
+export function parseProjectList(value) {
+  const projects = (value || "").split(",").map((p) => p.trim().toUpperCase()).filter(Boolean);
+  return projects.length > 0 ? projects : null;
+}
+
+/**
+ * Confluence page card: {pageCard:url}
+ */
+export function pageCardExtension() {
+  const pattern = /\{pageCard:([^}]+)\}/y;
+  return {
+    triggers: "{",
+    match(text, pos) {
+      pattern.lastIndex = pos;
+      const m = pattern.exec(text);
+      if (!m) return null;
+      return { node: { type: "inlineCard", attrs: { url: m[1] } }, end: pos + m[0].length };
+    },
+  };
+}
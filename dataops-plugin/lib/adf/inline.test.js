@@ -0,0 +1,325 @@
+#!/usr/bin/env bun
+/**
+ * Tests for inline.js
+ * Run with: bun test inline.test.js
+ */
+
+import { describe, test, expect } from "bun:test";
+import { createReferences } from "./references.js";
+import {
+  parseInline,
+  statusExtension,
+  dateExtension,
+  dateNode,
+  emojiExtension,
+  mentionExtension,
+  jiraKeyExtension,
+  pageCardExtension,
+  parseProjectList,
+} from "./inline.js";
+
+function text(value, ...marks) {
+  return marks.length > 0
+    ? { type: "text", text: value, marks: marks.map((type) => ({ type })) }
+    : { type: "text", text: value };
+}
+
+function link(href) {
+  return { type: "link", attrs: { href } };
+}
+
+describe("parseInline", () => {
+  describe("emphasis", () => {
+    test("italic nested in bold", () => {
+      expect(parseInline("**bold with *italic* inside**")).toEqual([
+        text("bold with ", "strong"),
+        text("italic", "strong", "em"),
+        text(" inside", "strong"),
+      ]);
+    });
+
+    test("bold nested in italic", () => {
+      expect(parseInline("*a **b** c*")).toEqual([text("a ", "em"), text("b", "em", "strong"), text(" c", "em")]);
+    });
+
+    test("triple delimiters are bold and italic", () => {
+      expect(parseInline("***both***")).toEqual([text("both", "em", "strong")]);
+    });
+
+    test("underscores", () => {
+      expect(parseInline("_em_ and __strong__")).toEqual([text("em", "em"), text(" and "), text("strong", "strong")]);
+    });
+
+    test("intraword underscores stay literal", () => {
+      expect(parseInline("set snake_case_name here")).toEqual([text("set snake_case_name here")]);
+    });
+
+    test("intraword asterisks still emphasise", () => {
+      expect(parseInline("un*frigging*believable")).toEqual([
+        text("un"),
+        text("frigging", "em"),
+        text("believable"),
+      ]);
+    });
+
+    test("spaced asterisks are not emphasis", () => {
+      expect(parseInline("2 * 3 * 4")).toEqual([text("2 * 3 * 4")]);
+    });
+
+    test("unmatched delimiters stay literal", () => {
+      expect(parseInline("**open only")).toEqual([text("**open only")]);
+    });
+
+    test("strike", () => {
+      expect(parseInline("~~gone~~ and ~/.config")).toEqual([text("gone", "strike"), text(" and ~/.config")]);
+    });
+  });
+
+  describe("code spans", () => {
+    test("asterisks inside code are literal", () => {
+      expect(parseInline("`a*b*c`")).toEqual([text("a*b*c", "code")]);
+    });
+
+    test("longer fences hold backticks", () => {
+      expect(parseInline("``x ` y``")).toEqual([text("x ` y", "code")]);
+    });
+
+    test("code drops formatting marks it can't combine with", () => {
+      expect(parseInline("**a `b`**")).toEqual([text("a ", "strong"), text("b", "code")]);
+    });
+
+    test("unclosed backtick is literal", () => {
+      expect(parseInline("it`s")).toEqual([text("it`s")]);
+    });
+  });
+
+  describe("long lines", () => {
+    // These were quadratic; at this size a regression blows the test timeout
+    test("unmatched closers stay literal", () => {
+      const line = "a* b ".repeat(50000);
+      expect(parseInline(line)).toEqual([text(line)]);
+    });
+
+    test("many links on one line", () => {
+      const nodes = parseInline("[a](https://x.io) ".repeat(50000));
+      expect(nodes).toHaveLength(100000);
+      expect(nodes[99998]).toEqual({ type: "text", text: "a", marks: [link("https://x.io")] });
+    });
+
+    test("unmatched brackets stay literal", () => {
+      const line = "] [ ".repeat(50000);
+      expect(parseInline(line)).toEqual([text(line)]);
+    });
+
+    test("deeply nested brackets stay literal", () => {
+      const line = "[a".repeat(50000) + "]".repeat(50000);
+      expect(parseInline(line, { references: createReferences() })).toEqual([text(line)]);
+    });
+  });
+
+  describe("escapes", () => {
+    test("backslash escapes punctuation", () => {
+      expect(parseInline("\\*not em\\* \\[x\\] \\`y\\`")).toEqual([text("*not em* [x] `y`")]);
+    });
+
+    test("backslash before a letter is literal", () => {
+      expect(parseInline("C:\\temp")).toEqual([text("C:\\temp")]);
+    });
+  });
+
+  describe("links", () => {
+    test("inline link with title", () => {
+      expect(parseInline('[docs](https://x.io "Docs")')).toEqual([
+        { type: "text", text: "docs", marks: [{ type: "link", attrs: { href: "https://x.io", title: "Docs" } }] },
+      ]);
+    });
+
+    test("emphasis inside link text", () => {
+      expect(parseInline("[**a** b](https://x.io)")).toEqual([
+        { type: "text", text: "a", marks: [link("https://x.io"), { type: "strong" }] },
+        { type: "text", text: " b", marks: [link("https://x.io")] },
+      ]);
+    });
+
+    test("parens in destination", () => {
+      const [node] = parseInline("[wiki](https://en.wikipedia.org/wiki/Foo_(bar))");
+      expect(node.marks[0].attrs.href).toBe("https://en.wikipedia.org/wiki/Foo_(bar)");
+    });
+
+    test("brackets without destination stay literal", () => {
+      expect(parseInline("[x] [y](z")).toEqual([text("[x] [y](z")]);
+    });
+
+    test("autolink", () => {
+      expect(parseInline("<https://a.io/x>")).toEqual([
+        { type: "text", text: "https://a.io/x", marks: [link("https://a.io/x")] },
+      ]);
+    });
+
+    test("bare URL drops trailing punctuation", () => {
+      expect(parseInline("see https://b.io/y).")).toEqual([
+        text("see "),
+        { type: "text", text: "https://b.io/y", marks: [link("https://b.io/y")] },
+        text(")."),
+      ]);
+    });
+
+    test("www URL gets a scheme", () => {
+      const [node] = parseInline("www.c.io");
+      expect(node.marks[0].attrs.href).toBe("http://www.c.io");
+    });
+
+    test("bare URL as link text", () => {
+      expect(parseInline("[https://a.io](https://b.io)")).toEqual([
+        { type: "text", text: "https://a.io", marks: [link("https://b.io")] },
+      ]);
+    });
+  });
+
+  describe("reference links and footnotes", () => {
+    const references = () =>
+      createReferences(
+        new Map([["rb", { href: "https://wiki.io/rb", title: "Runbook" }], ["grafana", { href: "https://g.io" }]]),
+        new Map([["1", "Review, https://wiki.io/q3"], ["est", "Internal estimate"]]),
+      );
+
+    test("full, collapsed and shortcut references", () => {
+      expect(parseInline("[the runbook][RB], [Grafana][] and [grafana]", { references: references() })).toEqual([
+        { type: "text", text: "the runbook", marks: [{ type: "link", attrs: { href: "https://wiki.io/rb", title: "Runbook" } }] },
+        text(", "),
+        { type: "text", text: "Grafana", marks: [link("https://g.io")] },
+        text(" and "),
+        { type: "text", text: "grafana", marks: [link("https://g.io")] },
+      ]);
+    });
+
+    test("undefined labels stay literal", () => {
+      expect(parseInline("[x][nope] [y] [z][]", { references: references() })).toEqual([text("[x][nope] [y] [z][]")]);
+    });
+
+    test("image references", () => {
+      const [node] = parseInline("![chart][grafana]", { references: references() });
+      expect(node).toEqual({ type: "text", text: "chart", marks: [link("https://g.io")] });
+    });
+
+    test("footnotes become superscript numbers, linked when the note has a URL", () => {
+      const sup = { type: "subsup", attrs: { type: "sup" } };
+      expect(parseInline("Lag[^1] and cost[^est], again[^1] and [^9]", { references: references() })).toEqual([
+        text("Lag"),
+        { type: "text", text: "1", marks: [link("https://wiki.io/q3"), sup] },
+        text(" and cost"),
+        { type: "text", text: "2", marks: [sup] },
+        text(", again"),
+        { type: "text", text: "1", marks: [link("https://wiki.io/q3"), sup] },
+        text(" and [^9]"),
+      ]);
+    });
+
+    test("without references everything stays literal", () => {
+      expect(parseInline("[a][rb] x[^1]")).toEqual([text("[a][rb] x[^1]")]);
+    });
+  });
+
+  describe("extensions", () => {
+    const extensions = [
+      mentionExtension(),
+      statusExtension({ newId: () => "id-1" }),
+      jiraKeyExtension({ baseUrl: "https://corp.atlassian.net/" }),
+      dateExtension(),
+      emojiExtension(),
+    ];
+
+    test("status lozenge", () => {
+      expect(parseInline("{status:DONE:green}", { extensions })).toEqual([
+        { type: "status", attrs: { text: "DONE", color: "green", localId: "id-1", style: "" } },
+      ]);
+    });
+
+    test("date pill at UTC midnight", () => {
+      expect(parseInline("due {date:2025-03-01}", { extensions })).toEqual([
+        text("due "),
+        { type: "date", attrs: { timestamp: "1740787200000" } },
+      ]);
+    });
+
+    test("impossible dates stay text", () => {
+      expect(parseInline("{date:2025-13-40} then {date:2025-03-01}", { extensions })).toEqual([
+        text("{date:2025-13-40} then "),
+        { type: "date", attrs: { timestamp: "1740787200000" } },
+      ]);
+      expect(parseInline("{date:next week}", { extensions })).toEqual([text("{date:next week}")]);
+    });
+
+    test("date node from a bare date", () => {
+      expect(dateNode("2025-03-01")).toEqual({ type: "date", attrs: { timestamp: "1740787200000" } });
+      expect(dateNode("2025-02-30")).toBeNull();
+    });
+
+    test("known emoji shortcodes", () => {
+      expect(parseInline(":tada: :check_mark:", { extensions })).toEqual([
+        { type: "emoji", attrs: { shortName: ":tada:", id: "1f389", text: "🎉" } },
+        text(" "),
+        { type: "emoji", attrs: { shortName: ":check_mark:", id: "atlassian-check_mark", text: ":check_mark:" } },
+      ]);
+    });
+
+    test("unknown shortcodes and times stay text", () => {
+      expect(parseInline(":not_an_emoji: at 10:30:45", { extensions })).toEqual([text(":not_an_emoji: at 10:30:45")]);
+    });
+
+    test("mention placeholder", () => {
+      const [node] = parseInline("@alice@corp.com", { extensions });
+      expect(node.attrs.id).toBe("__EMAIL__:alice@corp.com");
+    });
+
+    test("jira key only at word boundaries", () => {
+      expect(parseInline("fooPE-1 PE-2", { extensions })).toEqual([
+        text("fooPE-1 "),
+        { type: "inlineCard", attrs: { url: "https://corp.atlassian.net/browse/PE-2" } },
+      ]);
+    });
+
+    test("smart nodes inside link text stay text", () => {
+      expect(parseInline("[PE-1](https://x.io)", { extensions })).toEqual([
+        { type: "text", text: "PE-1", marks: [link("https://x.io")] },
+      ]);
+    });
+
+    test("smart nodes drop emphasis marks", () => {
+      expect(parseInline("**PE-1**", { extensions })).toEqual([
+        { type: "inlineCard", attrs: { url: "https://corp.atlassian.net/browse/PE-1" } },
+      ]);
+    });
+
+    test("project allowlist", () => {
+      const only = [jiraKeyExtension({ baseUrl: "https://corp.atlassian.net", projects: ["PE"] })];
+      expect(parseInline("PE-1 UTF-8", { extensions: only })).toEqual([
+        { type: "inlineCard", attrs: { url: "https://corp.atlassian.net/browse/PE-1" } },
+        text(" UTF-8"),
+      ]);
+    });
+
+    test("link mode keeps surrounding marks", () => {
+      const asLink = [jiraKeyExtension({ baseUrl: "https://corp.atlassian.net", mode: "link" })];
+      expect(parseInline("*PE-1*", { extensions: asLink })).toEqual([
+        { type: "text", text: "PE-1", marks: [{ type: "em" }, link("https://corp.atlassian.net/browse/PE-1")] },
+      ]);
+    });
+
+    test("project list parsing", () => {
+      expect(parseProjectList(" pe, ML,,DATA ")).toEqual(["PE", "ML", "DATA"]);
+      expect(parseProjectList("")).toBeNull();
+      expect(parseProjectList(undefined)).toBeNull();
+    });
+
+    test("page card", () => {
+      expect(parseInline("{pageCard:https://wiki/x}", { extensions: [pageCardExtension()] })).toEqual([
+        { type: "inlineCard", attrs: { url: "https://wiki/x" } },
+      ]);
+    });
+
+    test("escaped trigger is literal", () => {
+      expect(parseInline("\\{status:X:red}", { extensions })).toEqual([text("{status:X:red}")]);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * macros.js - Confluence macros as ADF extension nodes
+ *
+ *   :::macro key=children depth=2 :::                   -> extension
+ *   :::macro key=jira jql="project = PE AND fixVersion = 2025.1" columns="key,summary,status" :::
+ *   :::macro key=excerpt name=summary                   -> bodiedExtension, body is markdown
+ *   Kafka moves to the shared cluster in Q3.
+ *   :::
+ *   :::macro key=code title="deploy.sh" language=bash   -> code macro, body kept verbatim as its text
+ *   ./deploy.sh --env prod
+ *   :::
+ *
+ * Every other attribute becomes a macro parameter, { value: "..." } in
+ * macroParams. Macros in MACROS are checked for their required parameters and
+ * for whether they take a body; any other key passes through as written.
+ * A text body (the code macro) is plain text, not ADF: it goes in the
+ * extension's text attr, and a code macro with no parameter but language is
+ * simply the codeBlock a ``` fence gives.
+ */
+
+// Known macros: markdown key -> Confluence extension key, title, required
+// parameters, parameter aliases and body kind (none, markdown or text)
+export const MACROS = {
+  toc: { title: "Table of Contents" },
+  jira: { title: "Jira", required: ["jql"], aliases: { jql: "jqlQuery" } },
+  children: { title: "Children Display" },
+  "status-report": { extensionKey: "detailssummary", title: "Page Properties Report", required: ["cql"] },
+  excerpt: { title: "Excerpt", body: "markdown" },
+  "excerpt-include": { title: "Excerpt Include", required: ["page"] },
+  anchor: { title: "Anchor", required: ["name"] },
+  code: { title: "Code Block", body: "text" },
+};
+
+const EXTENSION_TYPE = "com.atlassian.confluence.macro.core";
+
+// name=value or name="value with spaces"
+const MACRO_ATTR = /\s*([\w-]+)=(?:"([^"]*)"|([^\s"]+))/y;
+
+/**
+ * Parse the attributes after :::macro, e.g. 'key=jira jql="project = PE"'.
+ * @param {string} text
+ * @returns {{key: string, params: Object<string, string>}} params in written order
+ */
+export function parseMacroAttrs(text = "") {
+  const params = {};
+  let key = null;
+  let pos = 0;
+  text = text.trimEnd();
+  while (pos < text.length) {
+    MACRO_ATTR.lastIndex = pos;
+    const m = MACRO_ATTR.exec(text);
+    if (!m) {
+      throw new Error(`Invalid macro attributes "${text.slice(pos).trim()}" (expected name=value or name="value")`);
+    }
+    const value = m[2] ?? m[3];
+    if (m[1] === "key") key = value;
+    else params[m[1]] = value;
+    pos = MACRO_ATTR.lastIndex;
+  }
+  if (!key) {
+    throw new Error("Macro without key= (expected e.g. :::macro key=children :::)");
+  }
+  return { key, params };
+}
+
+/**
+ * Build the extension node for a macro.
+ * @param {string} key - macro key, e.g. "jira"
+ * @param {Object<string, string>} params - parameter name -> value
+ * @param {object} options
+ * @param {() => string} options.uuid - id generator for macroId and localIds
+ * @param {string[]} [options.lines] - body lines; undefined for a one-line macro
+ * @param {(lines: string[]) => object[]} [options.parseBlocks] - parser for markdown bodies
+ * @returns {object} extension, bodiedExtension for a markdown body, or a codeBlock
+ *   for a code macro with at most language=
+ */
+export function macroNode(key, params, { uuid, lines, parseBlocks }) {
+  const known = MACROS[key];
+  const spec = known ?? { title: key, body: lines ? "markdown" : "none" };
+  const body = spec.body ?? "none";
+
+  for (const name of spec.required ?? []) {
+    if (!params[name]) {
+      throw new Error(`Macro "${key}" needs ${name}= (required: ${spec.required.join(", ")})`);
+    }
+  }
+  if (body === "none" && lines) {
+    throw new Error(`Macro "${key}" takes no body (write it on one line ending in :::)`);
+  }
+  if (body !== "none" && !lines?.some((line) => line.trim())) {
+    throw new Error(`Macro "${key}" needs a body (close it with ::: on its own line)`);
+  }
+
+  if (body === "text" && Object.keys(params).every((name) => name === "language")) {
+    const code = { type: "codeBlock", content: [{ type: "text", text: lines.join("\n") }] };
+    if (params.language) code.attrs = { language: params.language };
+    return code;
+  }
+
+  const macroParams = {};
+  for (const [name, value] of Object.entries(params)) {
+    macroParams[spec.aliases?.[name] ?? name] = { value };
+  }
+  const node = {
+    type: body === "markdown" ? "bodiedExtension" : "extension",
+    attrs: {
+      layout: "default",
+      extensionType: EXTENSION_TYPE,
+      extensionKey: spec.extensionKey ?? key,
+      parameters: {
+        macroParams,
+        macroMetadata: {
+          macroId: { value: uuid() },
+          schemaVersion: { value: "1" },
+          title: spec.title,
+        },
+      },
+      localId: uuid(),
+    },
+  };
+
+  if (body === "markdown") {
+    node.content = parseBlocks(lines);
+  } else if (body === "text") {
+    node.attrs.text = lines.join("\n");
+  }
+  return node;
+}
+
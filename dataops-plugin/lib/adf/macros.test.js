@@ -0,0 +1,101 @@
+#!/usr/bin/env bun
+/**
+ * Tests for macros.js
+ * Run with: bun test macros.test.js
+ */
+
+import { describe, test, expect } from "bun:test";
+import { parseMacroAttrs, macroNode, MACROS } from "./macros.js";
+import { seededIds } from "./ids.js";
+
+const paragraphs = (lines) => lines.map((text) => ({ type: "paragraph", content: [{ type: "text", text }] }));
+
+describe("parseMacroAttrs", () => {
+  test("key and parameters, quoted or bare, in written order", () => {
+    const { key, params } = parseMacroAttrs('key=jira jql="project = PE AND fixVersion = 2025.1" columns=key,summary');
+    expect(key).toBe("jira");
+    expect(Object.entries(params)).toEqual([
+      ["jql", "project = PE AND fixVersion = 2025.1"],
+      ["columns", "key,summary"],
+    ]);
+  });
+
+  test("missing key and stray text are errors", () => {
+    expect(() => parseMacroAttrs("depth=2")).toThrow("Macro without key=");
+    expect(() => parseMacroAttrs("key=children depth")).toThrow('Invalid macro attributes "depth"');
+    expect(() => parseMacroAttrs('key=jira jql="open')).toThrow('Invalid macro attributes "jql="open"');
+  });
+});
+
+describe("macroNode", () => {
+  const uuid = seededIds("macros");
+
+  test("same shape as the toc macro", () => {
+    const node = macroNode("toc", { maxLevel: "2" }, { uuid });
+    expect(node.type).toBe("extension");
+    expect(node.attrs.extensionType).toBe("com.atlassian.confluence.macro.core");
+    expect(node.attrs.extensionKey).toBe("toc");
+    expect(node.attrs.parameters.macroParams).toEqual({ maxLevel: { value: "2" } });
+    expect(node.attrs.parameters.macroMetadata.title).toBe("Table of Contents");
+    expect(node.attrs.parameters.macroMetadata.macroId.value).toBeString();
+    expect(node.attrs.localId).toBeString();
+  });
+
+  test("aliases and Confluence keys from the registry", () => {
+    expect(macroNode("jira", { jql: "project = PE" }, { uuid }).attrs.parameters.macroParams).toEqual({
+      jqlQuery: { value: "project = PE" },
+    });
+    expect(macroNode("status-report", { cql: "label = kafka" }, { uuid }).attrs.extensionKey).toBe("detailssummary");
+  });
+
+  test("required parameters", () => {
+    expect(() => macroNode("jira", { columns: "key" }, { uuid })).toThrow('Macro "jira" needs jql= (required: jql)');
+    expect(() => macroNode("anchor", {}, { uuid })).toThrow('Macro "anchor" needs name=');
+    for (const [key, spec] of Object.entries(MACROS)) {
+      expect(spec.title).toBeString();
+      expect(key).toMatch(/^[\w-]+$/);
+    }
+  });
+
+  test("markdown bodies go through parseBlocks", () => {
+    const node = macroNode("excerpt", {}, { uuid, lines: ["Kafka moves in Q3."], parseBlocks: paragraphs });
+    expect(node.type).toBe("bodiedExtension");
+    expect(node.content).toEqual(paragraphs(["Kafka moves in Q3."]));
+  });
+
+  test("code with a title keeps its body as the macro's plain text", () => {
+    const node = macroNode("code", { title: "deploy.sh", language: "bash" }, { uuid, lines: ["./deploy.sh **prod**", "# done"] });
+    expect(node.type).toBe("extension");
+    expect(node.attrs.extensionKey).toBe("code");
+    expect(node.attrs.parameters.macroParams).toEqual({ title: { value: "deploy.sh" }, language: { value: "bash" } });
+    expect(node.attrs.text).toBe("./deploy.sh **prod**\n# done");
+    expect(node.content).toBeUndefined();
+  });
+
+  test("code with only a language is a plain codeBlock", () => {
+    expect(macroNode("code", { language: "bash" }, { uuid, lines: ["ls"] })).toEqual({
+      type: "codeBlock",
+      attrs: { language: "bash" },
+      content: [{ type: "text", text: "ls" }],
+    });
+    expect(macroNode("code", {}, { uuid, lines: ["ls"] })).toEqual({ type: "codeBlock", content: [{ type: "text", text: "ls" }] });
+  });
+
+  test("body mismatches are errors", () => {
+    expect(() => macroNode("children", {}, { uuid, lines: ["x"], parseBlocks: paragraphs })).toThrow(
+      'Macro "children" takes no body',
+    );
+    expect(() => macroNode("excerpt", {}, { uuid })).toThrow('Macro "excerpt" needs a body');
+    expect(() => macroNode("code", {}, { uuid, lines: [""] })).toThrow('Macro "code" needs a body');
+  });
+
+  test("unknown macros pass through, bodied when they have a body", () => {
+    const plain = macroNode("recently-updated", { max: "5" }, { uuid });
+    expect(plain.type).toBe("extension");
+    expect(plain.attrs.extensionKey).toBe("recently-updated");
+    expect(plain.attrs.parameters.macroMetadata.title).toBe("recently-updated");
+
+    const bodied = macroNode("panel", {}, { uuid, lines: ["Inside"], parseBlocks: paragraphs });
+    expect(bodied.type).toBe("bodiedExtension");
+  });
+});
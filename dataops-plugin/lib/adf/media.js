@@ -0,0 +1,130 @@
+/**
+ * media.js - Markdown images as ADF media, shared by the Jira and Confluence converters
+ *
+ *   ![alt](https://host/shot.png)           -> mediaSingle with external media
+ *   ![alt](./shots/error.png)               -> mediaSingle placeholder for an upload:
+ *                                              media id "__FILE__:./shots/error.png"
+ *   ![alt](src){width=50% layout=wide}      -> width as % (or 400px) and layout
+ *
+ * Placeholders work like __EMAIL__ mentions: a publish step uploads the files
+ * listed by collectAttachments() and substitutes the real media IDs.
+ */
+
+export const FILE_PLACEHOLDER = "__FILE__:";
+
+const LAYOUTS = ["center", "wrap-left", "wrap-right", "wide", "full-width", "align-start", "align-end"];
+
+/**
+ * Is this image source a URL (rather than a local file to upload)?
+ * @param {string} src
+ */
+export function isExternal(src) {
+  return /^https?:\/\//i.test(src);
+}
+
+/**
+ * Parse an image attribute block body such as "width=50% layout=wide".
+ * A block with any other attribute isn't one of ours and stays text.
+ * @param {string} text - contents between the braces
+ * @returns {{width?: number, widthType?: string, layout?: string}|null} null for
+ *   a block with an attribute other than width and layout
+ */
+export function parseImageAttrs(text) {
+  const attrs = {};
+  const pairs = text.trim().split(/\s+/).filter(Boolean).map((pair) => pair.split("="));
+  if (pairs.some(([key]) => key !== "width" && key !== "layout")) return null;
+  for (const [key, value = ""] of pairs) {
+    if (key === "width") {
+      const m = value.match(/^(\d+(?:\.\d+)?)(%|px)?$/);
+      if (!m || (m[2] === "%" && (Number(m[1]) <= 0 || Number(m[1]) > 100))) {
+        throw new Error(`Invalid image width "${value}" (expected e.g. 50% or 400px)`);
+      }
+      attrs.width = Number(m[1]);
+      attrs.widthType = m[2] === "%" ? "percentage" : "pixel";
+    } else {
+      if (!LAYOUTS.includes(value)) {
+        throw new Error(`Invalid image layout "${value}" (expected ${LAYOUTS.join(", ")})`);
+      }
+      attrs.layout = value;
+    }
+  }
+  return attrs;
+}
+
+/**
+ * Build a mediaSingle node for an image.
+ * @param {{src: string, alt?: string, width?: number, widthType?: string, layout?: string}} image
+ */
+export function mediaSingle({ src, alt = "", width, widthType, layout = "center" }) {
+  const media = isExternal(src)
+    ? { type: "media", attrs: { type: "external", url: src } }
+    : { type: "media", attrs: { type: "file", id: `${FILE_PLACEHOLDER}${src}`, collection: "" } };
+  if (alt) media.attrs.alt = alt;
+
+  const attrs = { layout };
+  if (width !== undefined) {
+    attrs.width = width;
+    attrs.widthType = widthType;
+  }
+  return { type: "mediaSingle", attrs, content: [media] };
+}
+
+/**
+ * Split a paragraph whose inline content holds mediaSingle nodes into
+ * paragraph / mediaSingle blocks. Line breaks next to an image are dropped.
+ * @param {object} paragraph - paragraph node from parseInline(..., { images: true })
+ * @param {{newId?: Function}} [options] - gives each extra paragraph its own localId
+ * @returns {object[]} blocks
+ */
+export function splitMedia(paragraph, { newId } = {}) {
+  if (!paragraph.content?.some((node) => node.type === "mediaSingle")) {
+    return [paragraph];
+  }
+
+  const blocks = [];
+  let inline = [];
+  // Line breaks and spaces that separated text from an image go with it
+  const isGap = (node) => node?.type === "hardBreak" || (node?.type === "text" && node.text.trim() === "");
+  const flush = () => {
+    while (isGap(inline[0])) inline.shift();
+    while (isGap(inline[inline.length - 1])) inline.pop();
+    if (inline.length > 0) {
+      const end = inline.length - 1;
+      if (inline[0].type === "text") inline[0] = { ...inline[0], text: inline[0].text.trimStart() };
+      if (inline[end].type === "text") inline[end] = { ...inline[end], text: inline[end].text.trimEnd() };
+
+      const extra = blocks.some((block) => block.type === "paragraph");
+      const attrs = extra && paragraph.attrs?.localId && newId ? { ...paragraph.attrs, localId: newId() } : paragraph.attrs;
+      blocks.push(attrs ? { ...paragraph, attrs, content: inline } : { ...paragraph, content: inline });
+    }
+    inline = [];
+  };
+
+  for (const node of paragraph.content) {
+    if (node.type === "mediaSingle") {
+      flush();
+      blocks.push(node);
+    } else {
+      inline.push(node);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * List the local files a document needs uploaded.
+ * @param {object} doc - ADF document
+ * @returns {Array<{id: string, path: string, alt: string}>}
+ */
+export function collectAttachments(doc) {
+  const found = [];
+  const walk = (node) => {
+    if (node.type === "media" && node.attrs?.id?.startsWith(FILE_PLACEHOLDER)) {
+      found.push({ id: node.attrs.id, path: node.attrs.id.slice(FILE_PLACEHOLDER.length), alt: node.attrs.alt || "" });
+    }
+    (node.content || []).forEach(walk);
+  };
+  walk(doc);
+  return found;
+}
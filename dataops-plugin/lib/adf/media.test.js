@@ -0,0 +1,99 @@
+#!/usr/bin/env bun
+/**
+ * Tests for media.js
+ * Run with: bun test media.test.js
+ */
+
+import { describe, test, expect } from "bun:test";
+import { parseImageAttrs, mediaSingle, splitMedia, collectAttachments } from "./media.js";
+import { parseInline } from "./inline.js";
+
+function para(text) {
+  return { type: "paragraph", content: parseInline(text, { images: true }) };
+}
+
+describe("media", () => {
+  describe("parseImageAttrs", () => {
+    test("percentage width and layout", () => {
+      expect(parseImageAttrs("width=50% layout=wide")).toEqual({ width: 50, widthType: "percentage", layout: "wide" });
+    });
+
+    test("pixel width", () => {
+      expect(parseImageAttrs("width=400px")).toEqual({ width: 400, widthType: "pixel" });
+    });
+
+    test("rejects bad values", () => {
+      expect(() => parseImageAttrs("width=150%")).toThrow("Invalid image width");
+      expect(() => parseImageAttrs("layout=left")).toThrow("Invalid image layout");
+    });
+
+    test("other attributes aren't an image block", () => {
+      expect(parseImageAttrs("height=10")).toBeNull();
+      expect(parseImageAttrs("width=150% alt=x")).toBeNull();
+    });
+  });
+
+  describe("mediaSingle", () => {
+    test("external URL", () => {
+      expect(mediaSingle({ src: "https://x.io/a.png", alt: "A" })).toEqual({
+        type: "mediaSingle",
+        attrs: { layout: "center" },
+        content: [{ type: "media", attrs: { type: "external", url: "https://x.io/a.png", alt: "A" } }],
+      });
+    });
+
+    test("local file becomes an upload placeholder", () => {
+      const node = mediaSingle({ src: "./shots/err.png", width: 50, widthType: "percentage" });
+      expect(node.attrs).toEqual({ layout: "center", width: 50, widthType: "percentage" });
+      expect(node.content[0].attrs).toEqual({ type: "file", id: "__FILE__:./shots/err.png", collection: "" });
+    });
+  });
+
+  describe("inline images", () => {
+    test("attribute block after the image", () => {
+      const [node] = parseInline("![a](https://x.io/a.png){width=25% layout=wrap-left}", { images: true });
+      expect(node.attrs).toEqual({ layout: "wrap-left", width: 25, widthType: "percentage" });
+    });
+
+    test("without images option, alt text stays (linked for URLs)", () => {
+      expect(parseInline("![a](https://x.io/a.png) ![b](./b.png)")).toEqual([
+        { type: "text", text: "a", marks: [{ type: "link", attrs: { href: "https://x.io/a.png" } }] },
+        { type: "text", text: " b" },
+      ]);
+    });
+
+    test("unmatched image bracket is literal", () => {
+      expect(parseInline("wow![x")).toEqual([{ type: "text", text: "wow![x" }]);
+    });
+  });
+
+  describe("splitMedia", () => {
+    test("image on its own line replaces the paragraph", () => {
+      expect(splitMedia(para("![a](https://x.io/a.png)")).map((b) => b.type)).toEqual(["mediaSingle"]);
+    });
+
+    test("text around an image splits into paragraphs", () => {
+      const blocks = splitMedia(para("before ![a](https://x.io/a.png) after"));
+      expect(blocks.map((b) => b.type)).toEqual(["paragraph", "mediaSingle", "paragraph"]);
+      expect(blocks[0].content).toEqual([{ type: "text", text: "before" }]);
+      expect(blocks[2].content).toEqual([{ type: "text", text: "after" }]);
+    });
+
+    test("extra paragraphs get fresh localIds", () => {
+      const paragraph = { ...para("a ![x](https://x.io/x.png) b"), attrs: { localId: "p1" } };
+      const blocks = splitMedia(paragraph, { newId: () => "p2" });
+      expect(blocks[0].attrs.localId).toBe("p1");
+      expect(blocks[2].attrs.localId).toBe("p2");
+    });
+
+    test("paragraph without images is returned as is", () => {
+      const paragraph = para("plain");
+      expect(splitMedia(paragraph)).toEqual([paragraph]);
+    });
+  });
+
+  test("collectAttachments lists upload placeholders", () => {
+    const doc = { type: "doc", content: [...splitMedia(para("![err](./e.png) ![web](https://x.io/w.png)"))] };
+    expect(collectAttachments(doc)).toEqual([{ id: "__FILE__:./e.png", path: "./e.png", alt: "err" }]);
+  });
+});
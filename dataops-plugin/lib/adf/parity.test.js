@@ -0,0 +1,138 @@
+#!/usr/bin/env bun
+/**
+ * Shared block syntax: the same markdown through md-to-adf.js and
+ * confluence-md-to-adf.js must give the same ADF once localIds are dropped
+ * (Confluence gives block nodes localIds, Jira doesn't).
+ *
+ * Run with: bun test parity.test.js
+ */
+
+import { describe, test, expect } from "bun:test";
+import { validateAdf } from "./validate.js";
+import { parseMarkdown as jiraToAdf } from "../../skills/jira-publish/scripts/md-to-adf.js";
+import { parseMarkdown as confluenceToAdf } from "../../skills/confluence-authoring/scripts/confluence-md-to-adf.js";
+
+const CONVERTERS = { jira: jiraToAdf, confluence: confluenceToAdf };
+
+// Drop localIds and the attrs objects left empty by that
+function withoutIds(node) {
+  if (Array.isArray(node)) return node.map(withoutIds);
+  if (!node || typeof node !== "object") return node;
+  const out = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (key !== "localId") out[key] = withoutIds(value);
+  }
+  if (out.attrs && Object.keys(out.attrs).length === 0) delete out.attrs;
+  return out;
+}
+
+const text = (value, marks) => (marks ? { type: "text", text: value, marks } : { type: "text", text: value });
+const para = (...content) => ({ type: "paragraph", content });
+const item = (...content) => ({ type: "listItem", content });
+
+const CASES = [
+  {
+    name: "code fences keep markdown literal",
+    md: "```python\n# **not** a heading\nx = a * b * c\n```",
+    expected: [
+      { type: "codeBlock", attrs: { language: "python" }, content: [text("# **not** a heading\nx = a * b * c")] },
+    ],
+  },
+  {
+    name: "code fences without a language",
+    md: "```\n| not | a table |\n- not a list\n```\nAfter",
+    expected: [{ type: "codeBlock", content: [text("| not | a table |\n- not a list")] }, para(text("After"))],
+  },
+  {
+    name: "blockquotes parse their content as blocks",
+    md: "> Lag is **down**.\n>\n> - consumers\n> - brokers\n>\n> ```\n> SELECT 1;\n> ```",
+    expected: [{
+      type: "blockquote",
+      content: [
+        para(text("Lag is "), text("down", [{ type: "strong" }]), text(".")),
+        { type: "bulletList", content: [item(para(text("consumers"))), item(para(text("brokers")))] },
+        { type: "codeBlock", content: [text("SELECT 1;")] },
+      ],
+    }],
+  },
+  {
+    name: "nested quotes join the outer quote",
+    md: "> Outer\n>\n> > Inner",
+    expected: [{ type: "blockquote", content: [para(text("Outer")), para(text("Inner"))] }],
+  },
+  {
+    name: "indented lists nest",
+    md: "- Drain\n  - stop ingest\n    1. wait for lag 0\n- Roll back",
+    expected: [{
+      type: "bulletList",
+      content: [
+        item(
+          para(text("Drain")),
+          {
+            type: "bulletList",
+            content: [item(
+              para(text("stop ingest")),
+              { type: "orderedList", attrs: { order: 1 }, content: [item(para(text("wait for lag 0")))] },
+            )],
+          },
+        ),
+        item(para(text("Roll back"))),
+      ],
+    }],
+  },
+  {
+    name: "lists with leading whitespace, start numbers and code in items",
+    md: " 3. Restart\n 4. Verify\n\n    ```bash\n    kubectl get pods\n    ```",
+    expected: [{
+      type: "orderedList",
+      attrs: { order: 3 },
+      content: [
+        item(para(text("Restart"))),
+        item(para(text("Verify")), { type: "codeBlock", attrs: { language: "bash" }, content: [text("kubectl get pods")] }),
+      ],
+    }],
+  },
+  {
+    name: "continuation lines join the item's paragraph",
+    md: "- First line\n  continues here\n- Second",
+    expected: [{
+      type: "bulletList",
+      content: [item(para(text("First line continues here"))), item(para(text("Second")))],
+    }],
+  },
+  {
+    name: "nested checklists",
+    md: "- [ ] Announce\n  - [x] Draft",
+    expected: [{
+      type: "taskList",
+      content: [
+        { type: "taskItem", attrs: { state: "TODO" }, content: [text("Announce")] },
+        { type: "taskList", content: [{ type: "taskItem", attrs: { state: "DONE" }, content: [text("Draft")] }] },
+      ],
+    }],
+  },
+  {
+    name: "paragraphs end at fences, quotes and indented markers",
+    md: "Intro\n```\ncode\n```\nMore\n> quoted\nText\n  - item",
+    expected: [
+      para(text("Intro")),
+      { type: "codeBlock", content: [text("code")] },
+      para(text("More")),
+      { type: "blockquote", content: [para(text("quoted"))] },
+      para(text("Text")),
+      { type: "bulletList", content: [item(para(text("item")))] },
+    ],
+  },
+];
+
+for (const [converter, toAdf] of Object.entries(CONVERTERS)) {
+  describe(`${converter} block syntax`, () => {
+    for (const { name, md, expected } of CASES) {
+      test(name, () => {
+        const adf = toAdf(md);
+        expect(withoutIds(adf.content)).toEqual(expected);
+        expect(validateAdf(adf).errors).toEqual([]);
+      });
+    }
+  });
+}
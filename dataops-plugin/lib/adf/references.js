@@ -0,0 +1,105 @@
+/**
+ * references.js - Reference-style links and footnotes for the markdown converters
+ *
+ *   See the [runbook][rb], [Grafana][] or just [Grafana].
+ *   Lag doubled last quarter.[^lag]
+ *
+ *   [rb]: https://wiki.example.com/runbook "Runbook"
+ *   [grafana]: https://grafana.example.com
+ *   [^lag]: Kafka metrics review, https://wiki.example.com/kafka-q3
+ *
+ * collectReferences() is the pre-pass: it blanks out the definition lines
+ * (outside code fences) and returns the definitions for parseInline(), which
+ * resolves links against them and numbers footnotes in order of first use.
+ * The converter then appends notes() as a "Notes" section.
+ */
+
+// [label]: url "title" - title in "", '' or ()
+const LINK_DEF = /^ {0,3}\[([^\]]+)\]:\s*(<[^<>]*>|\S+)(?:\s+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?\s*$/;
+
+// [^id]: note text, continued on indented lines
+const FOOTNOTE_DEF = /^ {0,3}\[\^([^\]\s]+)\]:\s*(.*)$/;
+
+// First URL in a note, for the superscript link
+const NOTE_URL = /https?:\/\/[^\s<>"\]]+/;
+
+// Labels match case-insensitively, with runs of whitespace collapsed
+function normalizeLabel(label) {
+  return label.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Take link reference and footnote definitions out of a document.
+ * The first definition of a label wins, as in CommonMark.
+ * @param {string[]} lines - markdown lines
+ * @returns {{lines: string[], references: object}} lines with definitions
+ *   blanked, and the references object to pass to parseInline()
+ */
+export function collectReferences(lines) {
+  const links = new Map();
+  const footnotes = new Map();
+  const out = [];
+  let inFence = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim().startsWith("```")) inFence = !inFence;
+    const note = !inFence && line.match(FOOTNOTE_DEF);
+    const link = !inFence && !note && line.match(LINK_DEF);
+
+    if (note) {
+      const text = [note[2]];
+      while (i + 1 < lines.length && /^(?: {2,}|\t)\S/.test(lines[i + 1])) {
+        text.push(lines[++i].trim());
+        out.push("");
+      }
+      if (!footnotes.has(note[1])) footnotes.set(note[1], text.join(" ").trim());
+      out.push("");
+    } else if (link) {
+      const label = normalizeLabel(link[1]);
+      if (!links.has(label)) {
+        const href = link[2].replace(/^<|>$/g, "");
+        const title = link[3] ?? link[4] ?? link[5];
+        links.set(label, title !== undefined ? { href, title } : { href });
+      }
+      out.push("");
+    } else {
+      out.push(line);
+    }
+  }
+
+  return { lines: out, references: createReferences(links, footnotes) };
+}
+
+/**
+ * References object for parseInline() from already collected definitions.
+ * @param {Map<string, {href: string, title?: string}>} links - keyed by normalized label
+ * @param {Map<string, string>} footnotes - footnote id -> note text
+ */
+export function createReferences(links = new Map(), footnotes = new Map()) {
+  const used = new Map();
+
+  return {
+    // Link definition for a [label], or null
+    link(label) {
+      return links.get(normalizeLabel(label)) ?? null;
+    },
+
+    // Number a [^id] reference (the first use of a note picks its number);
+    // null when the note isn't defined
+    footnote(id) {
+      if (!footnotes.has(id)) return null;
+      if (!used.has(id)) {
+        const text = footnotes.get(id);
+        const url = text.match(NOTE_URL)?.[0].replace(/[).,;:!?'*_]+$/, "");
+        used.set(id, { number: used.size + 1, id, text, href: url || null });
+      }
+      return used.get(id);
+    },
+
+    // Referenced notes so far, in number order
+    notes() {
+      return [...used.values()];
+    },
+  };
+}
@@ -0,0 +1,69 @@
+#!/usr/bin/env bun
+/**
+ * Tests for references.js
+ * Run with: bun test references.test.js
+ */
+
+import { describe, test, expect } from "bun:test";
+import { collectReferences, createReferences } from "./references.js";
+
+describe("collectReferences", () => {
+  test("definition lines are blanked and resolvable", () => {
+    const { lines, references } = collectReferences([
+      "See [the runbook][rb].",
+      "",
+      '[rb]: https://wiki.example.com/runbook "Runbook"',
+      "[Grafana Home]: <https://grafana.example.com/a b>",
+    ]);
+    expect(lines).toEqual(["See [the runbook][rb].", "", "", ""]);
+    expect(references.link("RB")).toEqual({ href: "https://wiki.example.com/runbook", title: "Runbook" });
+    expect(references.link("grafana   home")).toEqual({ href: "https://grafana.example.com/a b" });
+    expect(references.link("missing")).toBeNull();
+  });
+
+  test("single-quoted and parenthesized titles", () => {
+    const { references } = collectReferences(["[a]: /a 'A'", "[b]: /b (B)"]);
+    expect(references.link("a").title).toBe("A");
+    expect(references.link("b").title).toBe("B");
+  });
+
+  test("first definition wins", () => {
+    const { references } = collectReferences(["[a]: /first", "[a]: /second"]);
+    expect(references.link("a").href).toBe("/first");
+  });
+
+  test("definitions inside code fences are left alone", () => {
+    const input = ["```", "[a]: /a", "[^1]: note", "```"];
+    const { lines, references } = collectReferences(input);
+    expect(lines).toEqual(input);
+    expect(references.link("a")).toBeNull();
+    expect(references.footnote("1")).toBeNull();
+  });
+
+  test("footnotes join indented continuation lines", () => {
+    const { lines, references } = collectReferences(["[^q3]: Kafka review,", "    see https://wiki.example.com/kafka.", "After"]);
+    expect(lines).toEqual(["", "", "After"]);
+    expect(references.footnote("q3")).toEqual({
+      number: 1,
+      id: "q3",
+      text: "Kafka review, see https://wiki.example.com/kafka.",
+      href: "https://wiki.example.com/kafka",
+    });
+  });
+});
+
+describe("createReferences", () => {
+  test("footnotes are numbered in order of first use", () => {
+    const references = createReferences(new Map(), new Map([["a", "A"], ["b", "B"], ["c", "C"]]));
+    expect(references.footnote("b").number).toBe(1);
+    expect(references.footnote("a").number).toBe(2);
+    expect(references.footnote("b").number).toBe(1);
+    expect(references.notes().map((n) => n.id)).toEqual(["b", "a"]);
+  });
+
+  test("notes without a URL have no href", () => {
+    const references = createReferences(new Map(), new Map([["1", "Internal estimate"]]));
+    expect(references.footnote("1").href).toBeNull();
+    expect(references.footnote("2")).toBeNull();
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * table.js - GFM pipe table parsing shared by the Jira and Confluence converters
+ *
+ *   | Name | `a|b` | Score |
+ *   |:-----|:-----:|------:|      <- left / center / right alignment
+ *   | x \| y | ... |            <- escaped pipe stays in the cell
+ *   {widths=20,50,30 numbered header-column layout=full-width}
+ *                                  <- optional attribute line right after the table
+ *
+ * Only splits rows and reads alignment; each converter builds its own ADF
+ * nodes (they differ in attrs and localIds).
+ */
+
+/**
+ * Split a table row into trimmed cell texts. Pipes inside code spans and
+ * escaped pipes (\|) don't split. In code spans \| becomes a plain |, as in GFM.
+ * @param {string} line - e.g. "| a | `b|c` |"
+ * @returns {string[]}
+ */
+export function splitRow(line) {
+  let text = line.trim();
+  if (text.startsWith("|")) text = text.slice(1);
+  if (text.endsWith("|") && !text.endsWith("\\|")) text = text.slice(0, -1);
+
+  const cells = [];
+  let cell = "";
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === "\\" && text[i + 1] === "|") {
+      cell += "\\|";
+      i += 2;
+    } else if (ch === "`") {
+      let runEnd = i;
+      while (text[runEnd] === "`") runEnd++;
+      const fence = text.slice(i, runEnd);
+      const close = findClosingFence(text, runEnd, fence);
+      if (close === -1) {
+        cell += fence;
+        i = runEnd;
+      } else {
+        cell += fence + text.slice(runEnd, close).replace(/\\\|/g, "|") + fence;
+        i = close + fence.length;
+      }
+    } else if (ch === "|") {
+      cells.push(cell.trim());
+      cell = "";
+      i++;
+    } else {
+      cell += ch;
+      i++;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// Index of the backtick run closing a code span, or -1
+function findClosingFence(text, from, fence) {
+  let search = from;
+  while ((search = text.indexOf(fence, search)) !== -1) {
+    if (text[search - 1] !== "`" && text[search + fence.length] !== "`") return search;
+    while (text[search] === "`") search++;
+  }
+  return -1;
+}
+
+/**
+ * Is this line a header separator row (|---|:--:|)?
+ * @param {string} line
+ */
+export function isSeparatorRow(line) {
+  const cells = splitRow(line);
+  return cells.length > 0 && cells.every((cell) => /^:?-+:?$/.test(cell));
+}
+
+/**
+ * Column alignments from the separator row.
+ * @param {string} line - e.g. "|:--|:-:|--:|"
+ * @returns {Array<"start"|"center"|"end">}
+ */
+export function parseAlignments(line) {
+  return splitRow(line).map((cell) => {
+    const left = cell.startsWith(":");
+    const right = cell.endsWith(":");
+    if (left && right) return "center";
+    if (right) return "end";
+    return "start";
+  });
+}
+
+/**
+ * Split table lines into header cells, alignments and body rows, with every
+ * row padded or trimmed to the header's column count.
+ * @param {string[]} lines - header row, separator row, body rows
+ * @returns {{headers: string[], alignments: string[], rows: string[][]}}
+ */
+export function parseTableLines(lines) {
+  const headers = splitRow(lines[0]);
+  const width = headers.length;
+  const fit = (cells, filler) => {
+    const fitted = cells.slice(0, width);
+    while (fitted.length < width) fitted.push(filler);
+    return fitted;
+  };
+
+  const hasSeparator = lines.length > 1 && isSeparatorRow(lines[1]);
+  return {
+    headers,
+    alignments: fit(hasSeparator ? parseAlignments(lines[1]) : [], "start"),
+    rows: lines.slice(hasSeparator ? 2 : 1).map((line) => fit(splitRow(line), "")),
+  };
+}
+
+/**
+ * Paragraph mark for a column alignment (left needs none).
+ * @param {"start"|"center"|"end"} alignment
+ * @returns {object[]|null} paragraph marks
+ */
+export function alignmentMarks(alignment) {
+  return alignment === "center" || alignment === "end" ? [{ type: "alignment", attrs: { align: alignment } }] : null;
+}
+
+/**
+ * Bold every text node of a header cell. Code text stays as is - ADF
+ * doesn't allow strong together with code.
+ * @param {object[]} nodes - inline nodes
+ */
+export function strongText(nodes = []) {
+  return nodes.map((node) => {
+    if (node.type !== "text" || node.marks?.some((m) => m.type === "code" || m.type === "strong")) return node;
+    return { ...node, marks: [{ type: "strong" }, ...(node.marks || [])] };
+  });
+}
+
+// Line break inside a cell
+const CELL_BREAK = /<br\s*\/?>/i;
+
+// Cell list item: "• item" or "- item"
+const CELL_BULLET = /^[•-]\s+(.*)$/;
+
+/**
+ * Split cell text into block descriptors. <br> is a line break and <br><br>
+ * starts a new paragraph. With lists on, "• a<br>• b" and "- a; - b" become
+ * a bullet list.
+ * @param {string} text - cell text
+ * @param {{lists?: boolean}} [options]
+ * @returns {Array<{type: "paragraph", lines: string[]} | {type: "bulletList", items: string[]}>}
+ */
+export function cellBlocks(text, { lists = false } = {}) {
+  const blocks = [];
+  let current = null;
+
+  for (const segment of text.split(CELL_BREAK).map((s) => s.trim())) {
+    if (segment === "") {
+      current = null;
+      continue;
+    }
+    const bullets = lists && CELL_BULLET.test(segment) ? segment.split(/;\s*(?=[•-]\s)/) : null;
+    if (bullets) {
+      if (current?.type !== "bulletList") {
+        current = { type: "bulletList", items: [] };
+        blocks.push(current);
+      }
+      current.items.push(...bullets.map((b) => b.match(CELL_BULLET)[1].trim()));
+    } else {
+      if (current?.type !== "paragraph") {
+        current = { type: "paragraph", lines: [] };
+        blocks.push(current);
+      }
+      current.lines.push(segment);
+    }
+  }
+
+  return blocks.length > 0 ? blocks : [{ type: "paragraph", lines: [] }];
+}
+
+const TABLE_LAYOUTS = ["default", "wide", "full-width", "center", "align-start", "align-end"];
+
+/**
+ * Width in px a table spans for each layout; widths= percentages are scaled to it.
+ */
+export const LAYOUT_WIDTHS = {
+  default: 760,
+  center: 760,
+  "align-start": 760,
+  "align-end": 760,
+  wide: 960,
+  "full-width": 1800,
+};
+
+const TABLE_ATTR_KEYS = ["widths", "numbered", "header-column", "layout"];
+
+/**
+ * Is this the attribute line that may follow a table ({widths=20,50,30 numbered})?
+ * Only when every token is a table attribute: a line such as {status:DONE:green}
+ * is a paragraph of its own.
+ * @param {string} line
+ */
+export function isTableAttrLine(line) {
+  const m = line.trim().match(/^\{([^{}]*)\}$/);
+  if (!m) return false;
+  const keys = m[1].trim().split(/\s+/).filter(Boolean).map((pair) => pair.split("=")[0]);
+  return keys.length > 0 && keys.every((key) => TABLE_ATTR_KEYS.includes(key));
+}
+
+/**
+ * Parse a table attribute line such as "{widths=20,50,30 numbered header-column layout=wide}".
+ * @param {string} line - the whole line, braces included
+ * @returns {{widths?: number[], numbered?: boolean, headerColumn?: boolean, layout?: string}}
+ */
+export function parseTableAttrs(line) {
+  const attrs = {};
+  for (const pair of line.trim().slice(1, -1).trim().split(/\s+/).filter(Boolean)) {
+    const [key, value = ""] = pair.split("=");
+    if (key === "widths") {
+      const widths = value.split(",").map(Number);
+      if (widths.some((w) => !(w > 0))) {
+        throw new Error(`Invalid table widths "${value}" (expected e.g. 20,50,30)`);
+      }
+      attrs.widths = widths;
+    } else if (key === "layout") {
+      if (!TABLE_LAYOUTS.includes(value)) {
+        throw new Error(`Invalid table layout "${value}" (expected ${TABLE_LAYOUTS.join(", ")})`);
+      }
+      attrs.layout = value;
+    } else if (key === "numbered") {
+      attrs.numbered = true;
+    } else if (key === "header-column") {
+      attrs.headerColumn = true;
+    } else {
+      throw new Error(`Unknown table attribute "${key}" (expected widths, numbered, header-column or layout)`);
+    }
+  }
+  return attrs;
+}
+
+/**
+ * Pixel column widths for a table: relative widths are scaled to the layout's width.
+ * @param {number[]} widths - one relative width per column, e.g. [20, 50, 30]
+ * @param {number} columns - the table's column count
+ * @param {string} layout - table layout
+ * @returns {number[]}
+ */
+export function columnWidths(widths, columns, layout) {
+  if (widths.length !== columns) {
+    throw new Error(`Table has ${columns} columns but widths lists ${widths.length}`);
+  }
+  const total = widths.reduce((sum, w) => sum + w, 0);
+  const span = LAYOUT_WIDTHS[layout] ?? LAYOUT_WIDTHS.default;
+  return widths.map((w) => Math.round((w / total) * span));
+}
@@ -0,0 +1,167 @@
+#!/usr/bin/env bun
+/**
+ * Tests for table.js
+ * Run with: bun test table.test.js
+ */
+
+import { describe, test, expect } from "bun:test";
+import {
+  splitRow,
+  isSeparatorRow,
+  parseAlignments,
+  parseTableLines,
+  cellBlocks,
+  alignmentMarks,
+  strongText,
+  isTableAttrLine,
+  parseTableAttrs,
+  columnWidths,
+} from "./table.js";
+
+describe("table", () => {
+  describe("splitRow", () => {
+    test("plain cells are trimmed", () => {
+      expect(splitRow("| a |  b | c|")).toEqual(["a", "b", "c"]);
+    });
+
+    test("outer pipes are optional", () => {
+      expect(splitRow("a | b")).toEqual(["a", "b"]);
+    });
+
+    test("escaped pipe stays in the cell", () => {
+      expect(splitRow("| x \\| y | z |")).toEqual(["x \\| y", "z"]);
+    });
+
+    test("pipes inside code spans don't split", () => {
+      expect(splitRow("| `a|b` | ``c | d`` |")).toEqual(["`a|b`", "``c | d``"]);
+    });
+
+    test("escaped pipe in a code span becomes a plain pipe", () => {
+      expect(splitRow("| `a\\|b` |")).toEqual(["`a|b`"]);
+    });
+
+    test("unclosed backtick doesn't swallow the row", () => {
+      expect(splitRow("| it`s | b |")).toEqual(["it`s", "b"]);
+    });
+
+    test("empty cells", () => {
+      expect(splitRow("| | b ||")).toEqual(["", "b", ""]);
+    });
+  });
+
+  describe("alignment", () => {
+    test("separator rows", () => {
+      expect(isSeparatorRow("|---|:--:|")).toBe(true);
+      expect(isSeparatorRow("| a | b |")).toBe(false);
+    });
+
+    test("colons map to start, center and end", () => {
+      expect(parseAlignments("|---|:--|:-:|--:|")).toEqual(["start", "start", "center", "end"]);
+    });
+
+    test("paragraph marks only for center and end", () => {
+      expect(alignmentMarks("start")).toBeNull();
+      expect(alignmentMarks("end")).toEqual([{ type: "alignment", attrs: { align: "end" } }]);
+    });
+  });
+
+  describe("parseTableLines", () => {
+    test("ragged rows are padded or trimmed to the header width", () => {
+      const table = parseTableLines(["| a | b |", "|:-:|--|", "| 1 |", "| 1 | 2 | 3 |"]);
+      expect(table).toEqual({
+        headers: ["a", "b"],
+        alignments: ["center", "start"],
+        rows: [["1", ""], ["1", "2"]],
+      });
+    });
+
+    test("short separator defaults remaining columns to start", () => {
+      expect(parseTableLines(["| a | b |", "|--:|"]).alignments).toEqual(["end", "start"]);
+    });
+  });
+
+  describe("cellBlocks", () => {
+    test("<br> breaks lines, <br><br> starts a paragraph", () => {
+      expect(cellBlocks("a<br>b<BR/><br />c")).toEqual([
+        { type: "paragraph", lines: ["a", "b"] },
+        { type: "paragraph", lines: ["c"] },
+      ]);
+    });
+
+    test("bullets stay text unless lists are on", () => {
+      expect(cellBlocks("• a<br>• b")).toEqual([{ type: "paragraph", lines: ["• a", "• b"] }]);
+    });
+
+    test("• and - bullets become a list", () => {
+      expect(cellBlocks("Done:<br>• a<br>- b", { lists: true })).toEqual([
+        { type: "paragraph", lines: ["Done:"] },
+        { type: "bulletList", items: ["a", "b"] },
+      ]);
+    });
+
+    test("semicolon-separated bullets", () => {
+      expect(cellBlocks("- a; - b;- c", { lists: true })).toEqual([{ type: "bulletList", items: ["a", "b", "c"] }]);
+    });
+
+    test("semicolons in plain text don't split", () => {
+      expect(cellBlocks("a; - b", { lists: true })).toEqual([{ type: "paragraph", lines: ["a; - b"] }]);
+    });
+
+    test("empty cell is one empty paragraph", () => {
+      expect(cellBlocks("")).toEqual([{ type: "paragraph", lines: [] }]);
+    });
+  });
+
+  describe("table attributes", () => {
+    test("attribute line is a whole braced line", () => {
+      expect(isTableAttrLine("  {widths=20,80 numbered}")).toBe(true);
+      expect(isTableAttrLine("{a} and more")).toBe(false);
+    });
+
+    test("braced inline syntax is not an attribute line", () => {
+      expect(isTableAttrLine("{status:DONE:green}")).toBe(false);
+      expect(isTableAttrLine("{date:2025-03-01}")).toBe(false);
+      expect(isTableAttrLine("{pageCard:https://wiki/x}")).toBe(false);
+      expect(isTableAttrLine("{numbered stripes}")).toBe(false);
+      expect(isTableAttrLine("{}")).toBe(false);
+      expect(isTableAttrLine("{layout=huge}")).toBe(true);
+    });
+
+    test("all attributes", () => {
+      expect(parseTableAttrs("{widths=20,50,30 numbered header-column layout=full-width}")).toEqual({
+        widths: [20, 50, 30],
+        numbered: true,
+        headerColumn: true,
+        layout: "full-width",
+      });
+    });
+
+    test("bad values throw", () => {
+      expect(() => parseTableAttrs("{widths=20,x}")).toThrow('Invalid table widths "20,x"');
+      expect(() => parseTableAttrs("{layout=huge}")).toThrow('Invalid table layout "huge"');
+      expect(() => parseTableAttrs("{stripes}")).toThrow('Unknown table attribute "stripes"');
+    });
+
+    test("widths scale to the layout width", () => {
+      expect(columnWidths([20, 50, 30], 3, "default")).toEqual([152, 380, 228]);
+      expect(columnWidths([1, 1], 2, "full-width")).toEqual([900, 900]);
+    });
+
+    test("widths must cover every column", () => {
+      expect(() => columnWidths([50, 50], 3, "default")).toThrow("Table has 3 columns but widths lists 2");
+    });
+  });
+
+  test("strongText bolds text but not code", () => {
+    const nodes = [
+      { type: "text", text: "a" },
+      { type: "text", text: "b", marks: [{ type: "code" }] },
+      { type: "inlineCard", attrs: { url: "u" } },
+    ];
+    expect(strongText(nodes)).toEqual([
+      { type: "text", text: "a", marks: [{ type: "strong" }] },
+      nodes[1],
+      nodes[2],
+    ]);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * theme.js - House styles for the markdown converters
+ *
+ * A theme sets how headings look per level, the marker variants (##! Heading),
+ * the lozenge colour of context/callout boxes and the header cells of every
+ * table the converters build. Built-in themes live in themes/*.json;
+ * each converter defaults to its own (jira, confluence).
+ *
+ *   md-to-adf.js --theme confluence < draft.md
+ *   ADF_THEME=./acme.json confluence-md-to-adf.js < page.md
+ *
+ * Theme file - every key is optional, missing ones come from "extends" (or
+ * the converter's default theme):
+ *   {
+ *     "extends": "confluence",
+ *     "headings": { "2": { "color": "#403294", "bold": true } },  - levels 1-6, color null = none
+ *     "markers": { "!": { "color": "#0747a6", "bold": true } },   - ##! Heading
+ *     "lozenge": "purple",                                         - status colour
+ *     "tableHeader": { "background": "#42526e", "color": "#FFFFFF" }  - null = plain
+ *   }
+ */
+
+import { readFileSync, readdirSync, existsSync } from "node:fs";
+import { join, basename } from "node:path";
+import { STATUS_COLORS, HEX_COLOR } from "./validate.js";
+
+const THEMES_DIR = join(import.meta.dir, "themes");
+const KEYS = ["description", "extends", "headings", "markers", "lozenge", "tableHeader"];
+const LEVELS = ["1", "2", "3", "4", "5", "6"];
+
+/**
+ * Load a built-in theme by name or a theme JSON file by path.
+ * @param {string|undefined} spec - "confluence", "./acme.json"; undefined means defaultName
+ * @param {string} defaultName - the converter's own theme, base for files without "extends"
+ * @returns {{name: string, headings: object, markers: object, lozenge: string, tableHeader: object}}
+ */
+export function loadTheme(spec, defaultName) {
+  return load(spec || defaultName, defaultName, []);
+}
+
+function load(spec, defaultName, seen) {
+  const builtin = /^[\w-]+$/.test(spec) ? join(THEMES_DIR, `${spec}.json`) : null;
+  const file = builtin && existsSync(builtin) ? builtin : spec;
+  if (!existsSync(file)) {
+    throw new Error(`Unknown theme "${spec}" (expected one of ${builtinThemes().join(", ")}, or a .json file)`);
+  }
+  if (seen.includes(file)) {
+    throw new Error(`Theme "${spec}" extends itself`);
+  }
+
+  const name = file === builtin ? spec : basename(file);
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid theme file ${file}: ${err.message}`);
+  }
+  for (const key of Object.keys(raw)) {
+    if (!KEYS.includes(key)) throw new Error(`Unknown key "${key}" in theme ${name} (expected ${KEYS.join(", ")})`);
+  }
+
+  // Built-in themes are complete; files fill the gaps from their base
+  const baseName = raw.extends ?? (file === builtin ? null : defaultName);
+  const base = baseName ? load(baseName, defaultName, [...seen, file]) : { headings: {}, markers: {}, tableHeader: {} };
+  const headings = { ...base.headings };
+  for (const [level, style] of Object.entries(raw.headings || {})) {
+    headings[level] = { ...base.headings[level], ...style };
+  }
+  const theme = {
+    name,
+    headings,
+    markers: { ...base.markers, ...raw.markers },
+    lozenge: raw.lozenge ?? base.lozenge,
+    tableHeader: { ...base.tableHeader, ...raw.tableHeader },
+  };
+  checkTheme(theme);
+  return theme;
+}
+
+function builtinThemes() {
+  return readdirSync(THEMES_DIR).filter((f) => f.endsWith(".json")).map((f) => f.slice(0, -5)).sort();
+}
+
+// Throw on the first unusable value, naming where it is
+function checkTheme(theme) {
+  const fail = (path, value, expected) => {
+    throw new Error(`Invalid ${path} ${JSON.stringify(value)} in theme ${theme.name} (expected ${expected})`);
+  };
+  const checkStyle = (path, style) => {
+    if (style.color !== null && !HEX_COLOR.test(style.color)) fail(`${path}.color`, style.color, "#rrggbb or null");
+    if (typeof style.bold !== "boolean") fail(`${path}.bold`, style.bold, "true or false");
+  };
+
+  for (const level of Object.keys(theme.headings)) {
+    if (!LEVELS.includes(level)) fail("heading level", level, "1-6");
+  }
+  for (const level of LEVELS) {
+    if (!theme.headings[level]) throw new Error(`Missing headings.${level} in theme ${theme.name}`);
+    checkStyle(`headings.${level}`, theme.headings[level]);
+  }
+  for (const [marker, style] of Object.entries(theme.markers)) {
+    if (!/^[^\w\s#]$/.test(marker)) fail("marker", marker, "one punctuation character other than #");
+    checkStyle(`markers.${marker}`, style);
+  }
+  if (!STATUS_COLORS.includes(theme.lozenge)) fail("lozenge", theme.lozenge, STATUS_COLORS.join(", "));
+  for (const key of ["background", "color"]) {
+    const value = theme.tableHeader[key];
+    if (value !== null && !HEX_COLOR.test(value)) fail(`tableHeader.${key}`, value, "#rrggbb or null");
+  }
+}
+
+/**
+ * Text marks for a heading: the marker's style if it has one, else the level's.
+ * @param {object} theme - from loadTheme()
+ * @param {number} level
+ * @param {string} [marker] - "!" for ##! Heading
+ * @returns {Array<object>} strong and/or textColor marks
+ */
+export function headingMarks(theme, level, marker = "") {
+  const style = marker ? theme.markers[marker] : theme.headings[level];
+  const marks = [];
+  if (style.bold) marks.push({ type: "strong" });
+  if (style.color) marks.push({ type: "textColor", attrs: { color: style.color } });
+  return marks;
+}
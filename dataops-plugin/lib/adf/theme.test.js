@@ -0,0 +1,95 @@
+#!/usr/bin/env bun
+/**
+ * Tests for theme.js
+ * Run with: bun test theme.test.js
+ */
+
+import { describe, test, expect, afterAll } from "bun:test";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { rmSync, writeFileSync } from "node:fs";
+import { loadTheme, headingMarks } from "./theme.js";
+
+const files = [];
+
+function themeFile(name, theme) {
+  const file = join(tmpdir(), `adf-theme-${process.pid}-${name}.json`);
+  writeFileSync(file, typeof theme === "string" ? theme : JSON.stringify(theme));
+  files.push(file);
+  return file;
+}
+
+afterAll(() => {
+  for (const file of files) rmSync(file, { force: true });
+});
+
+describe("loadTheme", () => {
+  test("built-in themes by name, default when unset", () => {
+    expect(loadTheme(undefined, "jira").name).toBe("jira");
+    expect(loadTheme("confluence", "jira").lozenge).toBe("blue");
+    expect(loadTheme("jira", "confluence").markers).toEqual({});
+  });
+
+  test("files fill missing keys from the converter's default theme", () => {
+    const theme = loadTheme(themeFile("partial", { headings: { 2: { color: "#403294" } } }), "jira");
+    expect(theme.name).toBe(`adf-theme-${process.pid}-partial.json`);
+    expect(theme.headings["2"]).toEqual({ color: "#403294", bold: true });
+    expect(theme.headings["4"]).toEqual({ color: "#0747a6", bold: true });
+    expect(theme.lozenge).toBe("purple");
+  });
+
+  test("extends picks another base", () => {
+    const theme = loadTheme(themeFile("extends", { extends: "confluence", lozenge: "green" }), "jira");
+    expect(theme.markers["!"]).toEqual({ color: "#0747a6", bold: true });
+    expect(theme.headings["3"].color).toBe("#003300");
+    expect(theme.lozenge).toBe("green");
+  });
+
+  test("unknown colours are errors that say where", () => {
+    expect(() => loadTheme(themeFile("color", { headings: { 2: { color: "pink" } } }), "jira")).toThrow(
+      `Invalid headings.2.color "pink" in theme adf-theme-${process.pid}-color.json (expected #rrggbb or null)`,
+    );
+    expect(() => loadTheme(themeFile("lozenge", { lozenge: "orange" }), "jira")).toThrow(
+      'Invalid lozenge "orange"',
+    );
+    expect(() => loadTheme(themeFile("header", { tableHeader: { background: "navy" } }), "jira")).toThrow(
+      'Invalid tableHeader.background "navy"',
+    );
+  });
+
+  test("bad markers, levels and keys are errors", () => {
+    expect(() => loadTheme(themeFile("marker", { markers: { ab: { color: null, bold: true } } }), "jira")).toThrow(
+      'Invalid marker "ab"',
+    );
+    expect(() => loadTheme(themeFile("level", { headings: { 7: { color: null, bold: true } } }), "jira")).toThrow(
+      'Invalid heading level "7"',
+    );
+    expect(() => loadTheme(themeFile("key", { heading: {} }), "jira")).toThrow('Unknown key "heading"');
+  });
+
+  test("unknown names, broken JSON and cycles", () => {
+    expect(() => loadTheme("acme", "jira")).toThrow('Unknown theme "acme" (expected one of confluence, jira, or a .json file)');
+    expect(() => loadTheme(themeFile("json", "{"), "jira")).toThrow("Invalid theme file");
+    const cycle = join(tmpdir(), `adf-theme-${process.pid}-cycle.json`);
+    themeFile("cycle", { extends: cycle });
+    expect(() => loadTheme(cycle, "jira")).toThrow("extends itself");
+  });
+});
+
+describe("headingMarks", () => {
+  const confluence = loadTheme("confluence", "confluence");
+
+  test("level styles", () => {
+    expect(headingMarks(confluence, 3)).toEqual([{ type: "strong" }, { type: "textColor", attrs: { color: "#003300" } }]);
+    expect(headingMarks(confluence, 5)).toEqual([{ type: "textColor", attrs: { color: "#97a0af" } }]);
+  });
+
+  test("marker style wins over the level", () => {
+    expect(headingMarks(confluence, 3, "!")).toEqual([{ type: "strong" }, { type: "textColor", attrs: { color: "#0747a6" } }]);
+  });
+
+  test("no colour and no bold means no marks", () => {
+    const plain = loadTheme(themeFile("plain", { headings: { 2: { color: null, bold: false } } }), "jira");
+    expect(headingMarks(plain, 2)).toEqual([]);
+  });
+});
@@ -0,0 +1,332 @@
+#!/usr/bin/env bun
+/**
+ * validate.js - Check ADF documents against the node and mark rules Jira and
+ * Confluence enforce, so bad output fails locally instead of as a vague 400.
+ *
+ * Shared by the markdown converters:
+ *   jira-publish/scripts/md-to-adf.js --validate
+ *   confluence-authoring/scripts/confluence-md-to-adf.js --validate
+ *
+ * Standalone:
+ *   validate.js < doc.json
+ *
+ * Returns JSON:
+ *   { "valid": true, "errors": [] }
+ *   { "valid": false, "errors": [{ "path": "/content/2/content/0", "message": "..." }] }
+ *
+ * Paths are JSON pointers into the document.
+ */
+
+// Block groups reused across the node rules below
+const LIST_BLOCKS = ["bulletList", "orderedList", "taskList"];
+const MEDIA_BLOCKS = ["mediaSingle", "mediaGroup"];
+const CARD_BLOCKS = ["blockCard", "embedCard"];
+const CELL_BLOCKS = [
+  "paragraph", "heading", "panel", "blockquote", "codeBlock", "rule", "decisionList",
+  "extension", "nestedExpand", ...LIST_BLOCKS, ...MEDIA_BLOCKS, ...CARD_BLOCKS,
+];
+// What a panel may hold - md-to-adf.js moves anything else out of :::info etc.
+export const PANEL_BLOCKS = [
+  "paragraph", "heading", "codeBlock", "rule", "decisionList", "blockCard", ...LIST_BLOCKS, ...MEDIA_BLOCKS,
+];
+// What a nestedExpand may hold - the engine moves anything else out after it
+export const NESTED_EXPAND_BLOCKS = [
+  "paragraph", "heading", "codeBlock", "rule", "panel", "blockquote", "decisionList", ...LIST_BLOCKS, ...MEDIA_BLOCKS,
+];
+const TOP_BLOCKS = [
+  "paragraph", "heading", "panel", "blockquote", "codeBlock", "rule", "decisionList",
+  "table", "expand", "extension", "bodiedExtension", "layoutSection",
+  ...LIST_BLOCKS, ...MEDIA_BLOCKS, ...CARD_BLOCKS,
+];
+const INLINE = [
+  "text", "hardBreak", "mention", "emoji", "status", "date", "inlineCard",
+  "placeholder", "mediaInline",
+];
+
+export const STATUS_COLORS = ["neutral", "purple", "blue", "red", "yellow", "green"];
+const PANEL_TYPES = ["info", "note", "warning", "success", "error", "custom"];
+export const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+const MEDIA_LAYOUTS = ["center", "wrap-left", "wrap-right", "wide", "full-width", "align-start", "align-end"];
+const TABLE_LAYOUTS = ["default", "wide", "full-width", "center", "align-start", "align-end"];
+
+/**
+ * Node rules.
+ *   content  - allowed child types (omit for leaf nodes)
+ *   min      - minimum number of children (default 0)
+ *   first    - allowed types for the first child
+ *   attrs    - attr name -> validator(value) returning an error message or null;
+ *              "required" attrs are listed in `required`
+ *   marks    - allowed block marks on the node itself
+ */
+const NODES = {
+  doc: { content: TOP_BLOCKS },
+  paragraph: { content: INLINE, marks: ["alignment", "indentation"] },
+  heading: {
+    content: INLINE,
+    required: ["level"],
+    attrs: { level: (v) => (Number.isInteger(v) && v >= 1 && v <= 6 ? null : "level must be 1-6") },
+    marks: ["alignment", "indentation"],
+  },
+  bulletList: { content: ["listItem"], min: 1 },
+  orderedList: {
+    content: ["listItem"],
+    min: 1,
+    attrs: { order: (v) => (Number.isInteger(v) && v >= 0 ? null : "order must be a non-negative integer") },
+  },
+  listItem: {
+    content: ["paragraph", "codeBlock", "mediaSingle", ...LIST_BLOCKS],
+    min: 1,
+    first: ["paragraph", "codeBlock", "mediaSingle"],
+  },
+  taskList: {
+    content: ["taskItem", "taskList"],
+    min: 1,
+    first: ["taskItem"],
+    required: ["localId"],
+  },
+  taskItem: {
+    content: INLINE,
+    required: ["localId", "state"],
+    attrs: { state: (v) => (["TODO", "DONE"].includes(v) ? null : "state must be TODO or DONE") },
+  },
+  decisionList: { content: ["decisionItem"], min: 1, required: ["localId"] },
+  decisionItem: { content: INLINE, required: ["localId", "state"] },
+  codeBlock: { content: ["text"], textMarks: false, marks: ["breakout"] },
+  blockquote: {
+    content: ["paragraph", "codeBlock", ...LIST_BLOCKS, ...MEDIA_BLOCKS],
+    min: 1,
+  },
+  rule: {},
+  panel: {
+    content: PANEL_BLOCKS,
+    min: 1,
+    required: ["panelType"],
+    attrs: { panelType: (v) => (PANEL_TYPES.includes(v) ? null : `panelType must be one of ${PANEL_TYPES.join(", ")}`) },
+  },
+  table: {
+    content: ["tableRow"],
+    min: 1,
+    attrs: {
+      layout: (v) => (TABLE_LAYOUTS.includes(v) ? null : `layout must be one of ${TABLE_LAYOUTS.join(", ")}`),
+      isNumberColumnEnabled: (v) => (typeof v === "boolean" ? null : "isNumberColumnEnabled must be a boolean"),
+    },
+  },
+  tableRow: { content: ["tableCell", "tableHeader"], min: 1 },
+  tableCell: { content: CELL_BLOCKS, min: 1, attrs: { background: optionalColor, colwidth } },
+  tableHeader: { content: CELL_BLOCKS, min: 1, attrs: { background: optionalColor, colwidth } },
+  expand: { content: [...CELL_BLOCKS, "table"], min: 1, marks: ["breakout"] },
+  nestedExpand: { content: NESTED_EXPAND_BLOCKS, min: 1 },
+  extension: { required: ["extensionType", "extensionKey"] },
+  bodiedExtension: { content: TOP_BLOCKS.filter((t) => t !== "bodiedExtension"), min: 1, required: ["extensionType", "extensionKey"] },
+  layoutSection: { content: ["layoutColumn"], min: 2, marks: ["breakout"] },
+  layoutColumn: {
+    content: TOP_BLOCKS.filter((t) => !["layoutSection", "bodiedExtension"].includes(t)),
+    min: 1,
+    required: ["width"],
+    attrs: { width: (v) => (typeof v === "number" && v > 0 && v <= 100 ? null : "width must be a number between 0 and 100") },
+  },
+  mediaSingle: {
+    content: ["media"],
+    min: 1,
+    attrs: {
+      layout: (v) => (MEDIA_LAYOUTS.includes(v) ? null : `layout must be one of ${MEDIA_LAYOUTS.join(", ")}`),
+      widthType: (v) => (["percentage", "pixel"].includes(v) ? null : "widthType must be percentage or pixel"),
+    },
+  },
+  mediaGroup: { content: ["media"], min: 1 },
+  media: {
+    required: ["type"],
+    attrs: { type: (v) => (["file", "link", "external"].includes(v) ? null : "type must be file, link or external") },
+  },
+  blockCard: {},
+  embedCard: { required: ["url", "layout"] },
+
+  // Inline nodes
+  text: {},
+  hardBreak: {},
+  mention: { required: ["id"] },
+  emoji: { required: ["shortName"] },
+  status: {
+    required: ["text", "color"],
+    attrs: { color: (v) => (STATUS_COLORS.includes(v) ? null : `color must be one of ${STATUS_COLORS.join(", ")}`) },
+  },
+  date: { required: ["timestamp"], attrs: { timestamp: (v) => (/^\d+$/.test(String(v)) ? null : "timestamp must be epoch milliseconds") } },
+  inlineCard: {},
+  placeholder: { required: ["text"] },
+  mediaInline: { required: ["id"] },
+};
+
+function optionalColor(v) {
+  return HEX_COLOR.test(v) ? null : "background must be a #rrggbb color";
+}
+
+function colwidth(v) {
+  return Array.isArray(v) && v.every((w) => typeof w === "number" && w > 0) ? null : "colwidth must be an array of positive numbers";
+}
+
+/**
+ * Mark rules.
+ *   attrs    - required attr validators
+ *   excludes - marks that can't appear on the same text node
+ */
+const MARKS = {
+  strong: {},
+  em: {},
+  strike: {},
+  underline: {},
+  link: { attrs: { href: (v) => (typeof v === "string" && v !== "" ? null : "href is required") } },
+  // code only combines with link (and annotations)
+  code: { excludes: ["strong", "em", "strike", "underline", "textColor", "backgroundColor", "subsup"] },
+  subsup: { attrs: { type: (v) => (["sub", "sup"].includes(v) ? null : "type must be sub or sup") } },
+  textColor: { attrs: { color: (v) => (HEX_COLOR.test(v) ? null : "color must be a #rrggbb color") } },
+  backgroundColor: { attrs: { color: (v) => (HEX_COLOR.test(v) ? null : "color must be a #rrggbb color") } },
+  annotation: { attrs: { id: (v) => (v ? null : "id is required") } },
+  // Block marks
+  alignment: { attrs: { align: (v) => (["center", "end"].includes(v) ? null : "align must be center or end") } },
+  indentation: { attrs: { level: (v) => (Number.isInteger(v) && v >= 1 && v <= 6 ? null : "level must be 1-6") } },
+  breakout: { attrs: { mode: (v) => (["wide", "full-width"].includes(v) ? null : "mode must be wide or full-width") } },
+};
+const TEXT_MARKS = Object.keys(MARKS).filter((m) => !["alignment", "indentation", "breakout"].includes(m));
+
+// JSON pointer segment escaping (RFC 6901)
+function pointer(path) {
+  return path.map((p) => "/" + String(p).replace(/~/g, "~0").replace(/\//g, "~1")).join("");
+}
+
+function checkMarks(node, allowed, path, errors) {
+  if (node.marks === undefined) return;
+  if (!Array.isArray(node.marks)) {
+    errors.push({ path: pointer([...path, "marks"]), message: "marks must be an array" });
+    return;
+  }
+
+  const seen = new Set();
+  node.marks.forEach((mark, idx) => {
+    const markPath = [...path, "marks", idx];
+    const rule = MARKS[mark?.type];
+    if (!rule || !allowed.includes(mark.type)) {
+      errors.push({ path: pointer(markPath), message: `mark "${mark?.type}" is not allowed on ${node.type}` });
+      return;
+    }
+    if (seen.has(mark.type)) {
+      errors.push({ path: pointer(markPath), message: `duplicate "${mark.type}" mark` });
+    }
+    seen.add(mark.type);
+    for (const [name, check] of Object.entries(rule.attrs || {})) {
+      const problem = check(mark.attrs?.[name]);
+      if (problem) errors.push({ path: pointer([...markPath, "attrs", name]), message: `${mark.type}: ${problem}` });
+    }
+  });
+
+  for (const type of seen) {
+    for (const excluded of MARKS[type].excludes || []) {
+      if (seen.has(excluded)) {
+        errors.push({ path: pointer([...path, "marks"]), message: `"${type}" mark can't be combined with "${excluded}"` });
+      }
+    }
+  }
+}
+
+function checkNode(node, path, errors, textMarksAllowed = true) {
+  const here = pointer(path) || "/";
+  if (!node || typeof node !== "object" || typeof node.type !== "string") {
+    errors.push({ path: here, message: "node must be an object with a type" });
+    return;
+  }
+
+  const rule = NODES[node.type];
+  if (!rule) {
+    errors.push({ path: here, message: `unknown node type "${node.type}"` });
+    return;
+  }
+
+  // Attributes
+  for (const name of rule.required || []) {
+    const value = node.attrs?.[name];
+    if (value === undefined || value === null || value === "") {
+      errors.push({ path: pointer([...path, "attrs", name]) || here, message: `${node.type} requires attrs.${name}` });
+    }
+  }
+  for (const [name, check] of Object.entries(rule.attrs || {})) {
+    const value = node.attrs?.[name];
+    if (value === undefined) continue;
+    const problem = check(value);
+    if (problem) errors.push({ path: pointer([...path, "attrs", name]), message: `${node.type}: ${problem}` });
+  }
+
+  // Text nodes
+  if (node.type === "text") {
+    if (typeof node.text !== "string" || node.text === "") {
+      errors.push({ path: here, message: "text node must have non-empty text" });
+    }
+    if (!textMarksAllowed && node.marks?.length) {
+      errors.push({ path: pointer([...path, "marks"]), message: "text inside this node can't have marks" });
+    } else {
+      checkMarks(node, TEXT_MARKS, path, errors);
+    }
+    return;
+  }
+  checkMarks(node, rule.marks || [], path, errors);
+
+  // Children
+  const children = node.content;
+  if (!rule.content) {
+    if (children !== undefined && children.length > 0) {
+      errors.push({ path: pointer([...path, "content"]), message: `${node.type} can't have content` });
+    }
+    return;
+  }
+  if (children !== undefined && !Array.isArray(children)) {
+    errors.push({ path: pointer([...path, "content"]), message: "content must be an array" });
+    return;
+  }
+  const list = children || [];
+  if (list.length < (rule.min || 0)) {
+    errors.push({ path: here, message: `${node.type} requires at least ${rule.min} child node(s)` });
+  }
+  if (rule.first && list.length > 0 && !rule.first.includes(list[0]?.type)) {
+    errors.push({ path: pointer([...path, "content", 0]), message: `${node.type} must start with ${rule.first.join(" or ")}` });
+  }
+  list.forEach((child, idx) => {
+    const childPath = [...path, "content", idx];
+    if (child?.type && NODES[child.type] && !rule.content.includes(child.type)) {
+      errors.push({ path: pointer(childPath), message: `${child.type} is not allowed inside ${node.type}` });
+      return;
+    }
+    checkNode(child, childPath, errors, rule.textMarks !== false);
+  });
+}
+
+/**
+ * Validate an ADF document.
+ * @param {object} doc - ADF document
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export function validateAdf(doc) {
+  const errors = [];
+  if (doc?.type !== "doc") {
+    errors.push({ path: "/type", message: 'root node must be type "doc"' });
+  } else if (doc.version !== 1) {
+    errors.push({ path: "/version", message: "doc version must be 1" });
+  }
+  if (doc?.type === "doc") {
+    checkNode(doc, [], errors);
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+// Main - only run when executed directly
+async function main() {
+  const doc = JSON.parse(await Bun.stdin.text());
+  const result = validateAdf(doc);
+  console.log(JSON.stringify(result, null, 2));
+  process.exit(result.valid ? 0 : 1);
+}
+
+// Only run main() when executed directly (not when imported)
+if (import.meta.main) {
+  main().catch((err) => {
+    console.error(JSON.stringify({ valid: false, errors: [{ path: "", message: err.message }] }));
+    process.exit(1);
+  });
+}
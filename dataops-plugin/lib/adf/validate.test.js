@@ -0,0 +1,146 @@
+#!/usr/bin/env bun
+/**
+ * Tests for validate.js
+ * Run with: bun test validate.test.js
+ */
+
+import { describe, test, expect } from "bun:test";
+import { validateAdf } from "./validate.js";
+
+function doc(...content) {
+  return { version: 1, type: "doc", content };
+}
+
+function para(...content) {
+  return { type: "paragraph", content };
+}
+
+function text(value, marks) {
+  return marks ? { type: "text", text: value, marks } : { type: "text", text: value };
+}
+
+describe("validateAdf", () => {
+  describe("documents", () => {
+    test("accepts a simple document", () => {
+      const result = validateAdf(doc(para(text("hello")), { type: "rule" }));
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
+    });
+
+    test("rejects non-doc root", () => {
+      const result = validateAdf({ type: "paragraph" });
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].path).toBe("/type");
+    });
+
+    test("requires version 1", () => {
+      const result = validateAdf({ type: "doc", content: [] });
+      expect(result.errors[0].path).toBe("/version");
+    });
+
+    test("rejects unknown node types", () => {
+      const result = validateAdf(doc({ type: "sparkle" }));
+      expect(result.errors[0]).toEqual({ path: "/content/0", message: 'unknown node type "sparkle"' });
+    });
+  });
+
+  describe("children", () => {
+    test("tableHeader without content is located by JSON pointer", () => {
+      const table = {
+        type: "table",
+        content: [{ type: "tableRow", content: [{ type: "tableHeader", attrs: {} }] }],
+      };
+      const result = validateAdf(doc(table));
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].path).toBe("/content/0/content/0/content/0");
+      expect(result.errors[0].message).toContain("at least 1");
+    });
+
+    test("rejects disallowed child", () => {
+      const panel = { type: "panel", attrs: { panelType: "info" }, content: [{ type: "table", content: [] }] };
+      const result = validateAdf(doc(panel));
+      expect(result.errors[0]).toEqual({ path: "/content/0/content/0", message: "table is not allowed inside panel" });
+    });
+
+    test("listItem must start with a paragraph", () => {
+      const list = {
+        type: "bulletList",
+        content: [{ type: "listItem", content: [{ type: "bulletList", content: [{ type: "listItem", content: [para(text("x"))] }] }] }],
+      };
+      const result = validateAdf(doc(list));
+      expect(result.errors[0].message).toContain("must start with");
+    });
+
+    test("rule can't have content", () => {
+      const result = validateAdf(doc({ type: "rule", content: [para(text("x"))] }));
+      expect(result.errors[0].path).toBe("/content/0/content");
+    });
+  });
+
+  describe("attributes", () => {
+    test("empty text node", () => {
+      const result = validateAdf(doc(para(text(""))));
+      expect(result.errors[0]).toEqual({ path: "/content/0/content/0", message: "text node must have non-empty text" });
+    });
+
+    test("heading requires level", () => {
+      const result = validateAdf(doc({ type: "heading", content: [text("x")] }));
+      expect(result.errors[0].path).toBe("/content/0/attrs/level");
+    });
+
+    test("status color must be a lozenge color", () => {
+      const status = { type: "status", attrs: { text: "X", color: "pink", localId: "1" } };
+      const result = validateAdf(doc(para(status)));
+      expect(result.errors[0].path).toBe("/content/0/content/0/attrs/color");
+    });
+
+    test("table layout and cell colwidth", () => {
+      const cell = { type: "tableCell", attrs: { colwidth: [0] }, content: [para(text("x"))] };
+      const table = { type: "table", attrs: { layout: "huge" }, content: [{ type: "tableRow", content: [cell] }] };
+      const result = validateAdf(doc(table));
+      expect(result.errors.map((e) => e.path)).toEqual(["/content/0/attrs/layout", "/content/0/content/0/content/0/attrs/colwidth"]);
+    });
+
+    test("taskItem state must be TODO or DONE", () => {
+      const list = { type: "taskList", attrs: { localId: "a" }, content: [{ type: "taskItem", attrs: { localId: "b", state: "OPEN" } }] };
+      const result = validateAdf(doc(list));
+      expect(result.errors[0].message).toContain("TODO or DONE");
+    });
+  });
+
+  describe("marks", () => {
+    test("code combines with link", () => {
+      const marks = [{ type: "code" }, { type: "link", attrs: { href: "https://x.io" } }];
+      expect(validateAdf(doc(para(text("x", marks)))).valid).toBe(true);
+    });
+
+    test("code can't combine with strong", () => {
+      const result = validateAdf(doc(para(text("x", [{ type: "code" }, { type: "strong" }]))));
+      expect(result.errors[0]).toEqual({
+        path: "/content/0/content/0/marks",
+        message: '"code" mark can\'t be combined with "strong"',
+      });
+    });
+
+    test("link requires href", () => {
+      const result = validateAdf(doc(para(text("x", [{ type: "link", attrs: {} }]))));
+      expect(result.errors[0].path).toBe("/content/0/content/0/marks/0/attrs/href");
+    });
+
+    test("duplicate marks", () => {
+      const result = validateAdf(doc(para(text("x", [{ type: "em" }, { type: "em" }]))));
+      expect(result.errors[0].message).toBe('duplicate "em" mark');
+    });
+
+    test("codeBlock text can't carry marks", () => {
+      const block = { type: "codeBlock", content: [text("x", [{ type: "strong" }])] };
+      const result = validateAdf(doc(block));
+      expect(result.errors[0].path).toBe("/content/0/content/0/marks");
+    });
+
+    test("textColor needs a hex color", () => {
+      const result = validateAdf(doc(para(text("x", [{ type: "textColor", attrs: { color: "grey" } }]))));
+      expect(result.valid).toBe(false);
+    });
+  });
+});
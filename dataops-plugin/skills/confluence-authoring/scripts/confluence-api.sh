@@ -159,7 +159,23 @@ read_content() {
             echo -e "${RED}Error: Markdown converter not found: $converter${NC}" >&2
             exit 1
         fi
-        echo "$content" | "$converter"
+        # --validate fails here, with located errors, before anything reaches the API.
+        # --stable-ids makes an unchanged draft convert identically (see cmd_update).
+        # errexit doesn't apply inside $(...) - stop on a failed conversion ourselves
+        local adf
+        adf=$(echo "$content" | "$converter" --validate --stable-ids) || exit 1
+        # Local images are placeholders until uploaded (see the attachments manifest above)
+        if [[ "$adf" == *"__FILE__:"* ]]; then
+            echo -e "${RED}Error: Local images must be uploaded and their media IDs substituted first.${NC}" >&2
+            exit 1
+        fi
+        # @email mentions (metadata fields) become account IDs via the Jira user search;
+        # any email that can't be found aborts the publish
+        if [[ "$adf" == *"__EMAIL__:"* ]]; then
+            echo "$adf" | "${SCRIPT_DIR}/../../jira-publish/scripts/resolve-mentions.js" --search --strict || exit 1
+        else
+            echo "$adf"
+        fi
     else
         echo "$content"
     fi
@@ -563,10 +579,10 @@ cmd_update() {
     local adf_content
     adf_content=$(read_content "$content_file" "$is_markdown")
 
-    # Get current page to get version and title
+    # Get current page to get version, title and body
     echo -e "${YELLOW}Fetching current page version...${NC}" >&2
     local current
-    current=$(api_get "/wiki/api/v2/pages/${page_id}")
+    current=$(api_get "/wiki/api/v2/pages/${page_id}?body-format=atlas_doc_format")
 
     if echo "$current" | jq -e '.errors' >/dev/null 2>&1; then
         echo -e "${RED}Error fetching page:${NC}" >&2
@@ -588,6 +604,28 @@ cmd_update() {
     fi
     local title="${new_title:-$current_title}"
 
+    # Skip no-op updates: same title, status and body (key order ignored).
+    # If Confluence normalized the stored body the bodies differ and we update anyway.
+    local current_body
+    current_body=$(echo "$current" | jq -r '.body.atlas_doc_format.value // empty')
+    if [[ -n "$current_body" ]] && [[ "$title" == "$current_title" ]] && [[ "$status" == "$current_status" ]] \
+        && [[ "$(echo "$current_body" | jq -S -c . 2>/dev/null)" == "$(echo "$adf_content" | jq -S -c .)" ]]; then
+        echo -e "${GREEN}Page content unchanged - skipping update${NC}" >&2
+        jq -n \
+            --arg page_id "$page_id" \
+            --argjson version "$current_version" \
+            --arg page_status "$current_status" \
+            '{
+                action: "UPDATE",
+                status: "unchanged",
+                page_id: $page_id,
+                version: $version,
+                page_status: $page_status,
+                message: "Page already matches the content - nothing to update"
+            }'
+        return 0
+    fi
+
     # Build request body
     local body
     body=$(jq -n \
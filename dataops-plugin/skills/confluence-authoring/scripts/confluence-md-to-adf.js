@@ -5,11 +5,30 @@
  * Usage:
  *   echo "markdown" | confluence-md-to-adf.js
  *   confluence-md-to-adf.js < file.md
+ *   confluence-md-to-adf.js --validate < file.md   # exit 1 with located errors if the ADF is invalid
+ *   confluence-md-to-adf.js --cell-lists < file.md # "• a<br>• b" / "- a; - b" in table cells -> bullet list
+ *   confluence-md-to-adf.js --seed 1 < file.md     # deterministic localIds, for fixtures and diffs
+ *   confluence-md-to-adf.js --stable-ids < file.md # localIds from each block's content ($ADF_STABLE_IDS=1):
+ *                                                  # an unchanged draft gives identical ADF
+ *   confluence-md-to-adf.js --theme acme.json < file.md  # house style: built-in name or JSON file
+ *                                                  # ($ADF_THEME; default confluence, see lib/adf/theme.js)
  *
- * Style Guide:
- *   :::metadata owner="@Name" date="YYYY-MM-DD" :::     - Metadata table
+ * The markdown shared with md-to-adf.js is parsed by lib/adf/engine.js; this
+ * file is the Confluence profile (H1-H5, localIds on every block, the page
+ * directives below).
+ *
+ * Style Guide (colours from the default confluence theme):
+ *   :::metadata owner="@a@corp.com" date="YYYY-MM-DD" :::  - Metadata table, one row per key="value"
+ *                                                         in order (or one field per line up to :::);
+ *                                                         @email -> mention, YYYY-MM-DD -> date,
+ *                                                         PROJ-123 -> inline card, status:TEXT:color -> lozenge
  *   :::toc maxLevel=2 :::                               - Table of contents
  *   :::callout title="TITLE" color=red :::              - Callout box with lozenge
+ *   :::expand title="Raw logs" ... :::                  - Collapsible section (or <details><summary>)
+ *   :::columns widths=33,66 ... :::column ... :::       - 2-3 column layout (widths add up to 100,
+ *                                                         or 99 for thirds; layout=wide|full-width)
+ *   :::macro key=jira jql="project = PE" :::            - Any Confluence macro; with a body up to :::
+ *                                                         it's a bodied macro (see lib/adf/macros.js)
  *   # H1                - Bold + Grey (#97a0af)
  *   ## H2               - Bold + Grey (#97a0af)
  *   ##! H2              - Bold + Blue (#0747a6) for action sections
@@ -17,249 +36,177 @@
  *   #### H4             - Bold + Grey (#97a0af)
  *   ##### H5            - Grey only (#97a0af)
  *   {status:TEXT:color} - Status lozenge
- *   **bold**, *italic*, `code`, [link](url)
- *   - bullets, 1. numbered
- *   | tables |
- *   ---                 - Horizontal rule
+ *   {date:2025-03-01}   - Date pill
+ *   :emoji_name:        - Emoji from the Atlassian set (:tada:, :check_mark:); unknown ones stay text
+ *   **bold**, *italic*, ~~strike~~, `code`, [link](url) (CommonMark emphasis, \ escapes)
+ *   <https://...>, bare URLs - Links
+ *   [text][ref], [ref] + "[ref]: url" - Reference links (definition lines are dropped)
+ *   text[^1] + "[^1]: note" - Footnote: superscript number (linked to the note's URL),
+ *                             notes listed under a "Notes" heading at the end
+ *   - bullets, 1. numbered - indent to nest; continuation lines join the item's paragraph
+ *   - [ ] todo, - [x] done - Task list (checkboxes)
+ *   ```lang ... ```     - Code block (contents kept verbatim)
+ *   > quote             - Blockquote with lists and code inside; > > joins the outer quote
+ *   | tables |          - |:--|:-:|--:| alignment; \| or `a|b` for a literal pipe; <br> in cells
+ *                         {widths=20,50,30 numbered header-column layout=wide} on the line after
+ *   ---, ***, ___       - Horizontal rule
  *   {pageCard:url}      - Inline card for Confluence page
+ *   ![alt](https://...) - Image; ![alt](./shot.png) is a local file to upload, listed on
+ *                         stderr as {"attachments": [...]}; {width=50% layout=wide} after it
  */
 
-const COLORS = {
-  grey: "#97a0af",
-  blue: "#0747a6",
-  green: "#003300",
-  headerBg: "#42526e",
-  white: "#FFFFFF",
-};
-
-function uuid() {
-  return crypto.randomUUID();
+import { parseArgs } from "node:util";
+import {
+  parseInline as parseInlineMarkdown,
+  statusExtension,
+  dateExtension,
+  dateNode,
+  emojiExtension,
+  mentionExtension,
+  jiraKeyExtension,
+  pageCardExtension,
+  parseProjectList,
+} from "../../../lib/adf/inline.js";
+import { collectAttachments } from "../../../lib/adf/media.js";
+import { validateAdf, STATUS_COLORS } from "../../../lib/adf/validate.js";
+import { idGenerator } from "../../../lib/adf/ids.js";
+import { loadTheme } from "../../../lib/adf/theme.js";
+import { parseMacroAttrs, macroNode } from "../../../lib/adf/macros.js";
+import { createConverter, DIRECTIVE_OPEN } from "../../../lib/adf/engine.js";
+
+// Confluence inline syntax on top of the shared markdown inline parser
+function inlineExtensions(options, { uuid }) {
+  return [
+    statusExtension({ newId: uuid, style: "bold" }),
+    dateExtension(),
+    emojiExtension(),
+    pageCardExtension(),
+  ];
 }
 
-// Parse inline elements
-function parseInline(text) {
-  const nodes = [];
-  let remaining = text;
-
-  while (remaining.length > 0) {
-    // Status lozenge: {status:TEXT:color}
-    const statusMatch = remaining.match(/^\{status:([^:}]+):(\w+)\}/);
-    if (statusMatch) {
-      nodes.push({
-        type: "status",
-        attrs: {
-          text: statusMatch[1],
-          color: statusMatch[2],
-          localId: uuid(),
-          style: "bold",
-        },
-      });
-      remaining = remaining.slice(statusMatch[0].length);
-      continue;
-    }
-
-    // Page card: {pageCard:url}
-    const pageCardMatch = remaining.match(/^\{pageCard:([^}]+)\}/);
-    if (pageCardMatch) {
-      nodes.push({
-        type: "inlineCard",
-        attrs: { url: pageCardMatch[1] },
-      });
-      remaining = remaining.slice(pageCardMatch[0].length);
-      continue;
-    }
-
-    // Bold: **text**
-    const boldMatch = remaining.match(/^\*\*([^*]+)\*\*/);
-    if (boldMatch) {
-      nodes.push({
-        type: "text",
-        text: boldMatch[1],
-        marks: [{ type: "strong" }],
-      });
-      remaining = remaining.slice(boldMatch[0].length);
-      continue;
-    }
-
-    // Italic: *text*
-    const italicMatch = remaining.match(/^\*([^*]+)\*/);
-    if (italicMatch) {
-      nodes.push({
-        type: "text",
-        text: italicMatch[1],
-        marks: [{ type: "em" }],
-      });
-      remaining = remaining.slice(italicMatch[0].length);
-      continue;
-    }
-
-    // Code: `text`
-    const codeMatch = remaining.match(/^`([^`]+)`/);
-    if (codeMatch) {
-      nodes.push({
-        type: "text",
-        text: codeMatch[1],
-        marks: [{ type: "code" }],
-      });
-      remaining = remaining.slice(codeMatch[0].length);
-      continue;
-    }
-
-    // Link: [text](url)
-    const linkMatch = remaining.match(/^\[([^\]]+)\]\(([^)]+)\)/);
-    if (linkMatch) {
-      nodes.push({
-        type: "text",
-        text: linkMatch[1],
-        marks: [{ type: "link", attrs: { href: linkMatch[2] } }],
-      });
-      remaining = remaining.slice(linkMatch[0].length);
-      continue;
-    }
-
-    // Plain text - consume until next special char
-    const plainMatch = remaining.match(/^[^*`\[{]+/);
-    if (plainMatch) {
-      nodes.push({ type: "text", text: plainMatch[0] });
-      remaining = remaining.slice(plainMatch[0].length);
-      continue;
-    }
-
-    // Fallback
-    nodes.push({ type: "text", text: remaining[0] });
-    remaining = remaining.slice(1);
-  }
-
-  // Merge adjacent plain text nodes
-  const merged = [];
-  for (const node of nodes) {
-    const last = merged[merged.length - 1];
-    if (last?.type === "text" && node.type === "text" && !last.marks && !node.marks) {
-      last.text += node.text;
-    } else {
-      merged.push(node);
-    }
-  }
+// Confluence profile: H1-H5, localIds on every block, and the page
+// directives (metadata, toc, macros, callouts, columns) on top of the shared markdown
+const converter = createConverter({
+  theme: "confluence",
+  headingLevels: [1, 5],
+  localIds: true,
+  tableLayout: "default",
+  inline: inlineExtensions,
+  blocks: [metadataRule, tocRule, macroRule, calloutRule, columnsRule],
+});
+const {
+  parseMarkdown,
+  parseBlocks,
+  paragraph,
+  parseExpand,
+  nestExpand,
+  collectDirectiveBlock,
+  uuid,
+  currentTheme,
+  currentOptions,
+} = converter;
+
+// Metadata label cells: the theme's table header, or white on dark slate
+// when the theme leaves headers plain
+const METADATA_HEADER = { background: "#42526e", color: "#FFFFFF" };
+function metadataHeader() {
+  const header = currentTheme().tableHeader;
+  return header.background ? header : METADATA_HEADER;
+}
 
-  return merged;
+// Header cell text in the metadata header colour
+function headerText(text) {
+  const { color } = metadataHeader();
+  return color ? { type: "text", text, marks: [{ type: "textColor", attrs: { color } }] } : { type: "text", text };
 }
 
-// Create a paragraph node from a single line or array of lines
-// When given an array, inserts hardBreak nodes between lines
-function paragraph(textOrLines) {
-  // Handle array of lines - insert hardBreaks between them
-  if (Array.isArray(textOrLines)) {
-    const lines = textOrLines.filter(line => line.trim() !== "");
-    if (lines.length === 0) {
-      return { type: "paragraph", attrs: { localId: uuid() } };
-    }
-    if (lines.length === 1) {
-      return paragraph(lines[0]);
-    }
-    // Multiple lines - join with hardBreak nodes
-    const content = [];
-    for (let i = 0; i < lines.length; i++) {
-      content.push(...parseInline(lines[i]));
-      if (i < lines.length - 1) {
-        content.push({ type: "hardBreak" });
-      }
-    }
-    return {
-      type: "paragraph",
-      attrs: { localId: uuid() },
-      content: content,
-    };
+// Metadata labels for the original two fields
+const METADATA_LABELS = { owner: "Content Owner", date: "Last Update" };
+
+// One field of :::metadata: key="value", "Quoted Key"="value" or key=value
+const METADATA_FIELD = /\s*(?:"([^"]+)"|([\w-]+))=(?:"([^"]*)"|(\S+))/y;
+
+// Parse the fields of a :::metadata block into [label, value] pairs, in order.
+// Bare keys become labels: last_reviewed -> "Last Reviewed".
+function parseMetadataFields(text) {
+  const fields = [];
+  let pos = 0;
+  METADATA_FIELD.lastIndex = 0;
+  let m;
+  while ((m = METADATA_FIELD.exec(text))) {
+    const label = m[1] ?? METADATA_LABELS[m[2]] ?? m[2].replace(/_/g, " ").replace(/\b[a-z]/g, (c) => c.toUpperCase());
+    fields.push([label, m[3] ?? m[4]]);
+    pos = METADATA_FIELD.lastIndex;
   }
-
-  // Single text string
-  if (!textOrLines || textOrLines.trim() === "") {
-    return { type: "paragraph", attrs: { localId: uuid() } };
+  const rest = text.slice(pos).trim();
+  if (rest || fields.length === 0) {
+    throw new Error(`Invalid metadata "${rest || text.trim()}" (expected key="value")`);
   }
-  return {
-    type: "paragraph",
-    attrs: { localId: uuid() },
-    content: parseInline(textOrLines),
-  };
+  return fields;
 }
 
-// Heading with style based on level
-function heading(level, text, isBlue = false) {
-  let color = COLORS.grey;
-  let bold = true;
-
-  if (isBlue) {
-    color = COLORS.blue;
-  } else if (level === 3) {
-    color = COLORS.green;
-  } else if (level === 5) {
-    bold = false;
+// Inline syntax in metadata values: people, issue keys and lozenges on top
+// of the page's own. baseUrl/jiraProjects come from parseMarkdown() options.
+// Built once per document: parseInline() caches its scan tables per list.
+const metadataExtensionLists = new WeakMap();
+function metadataExtensions(options) {
+  let extensions = metadataExtensionLists.get(options);
+  if (!extensions) {
+    extensions = buildMetadataExtensions(options);
+    metadataExtensionLists.set(options, extensions);
   }
-
-  const marks = [{ type: "textColor", attrs: { color } }];
-  if (bold) {
-    marks.unshift({ type: "strong" });
-  }
-
-  return {
-    type: "heading",
-    attrs: { level, localId: uuid() },
-    content: [{
-      type: "text",
-      text: text,
-      marks: marks,
-    }],
-  };
+  return extensions;
 }
 
-// Metadata table (owner, date)
-function metadataTable(owner, date) {
-  const rows = [];
+function buildMetadataExtensions({
+  jiraProjects = parseProjectList(process.env.JIRA_PROJECTS),
+  baseUrl = process.env.ATLASSIAN_BASE_URL || "https://atlassian.net",
+} = {}) {
+  return [
+    mentionExtension(), // placeholder id - resolve-mentions.js swaps in the account ID
+    jiraKeyExtension({ baseUrl, projects: jiraProjects }),
+    statusExtension({ newId: uuid, style: "bold" }),
+    dateExtension(),
+    emojiExtension(),
+    pageCardExtension(),
+  ];
+}
 
-  if (owner) {
-    rows.push({
-      type: "tableRow",
-      attrs: { localId: uuid() },
-      content: [{
-        type: "tableHeader",
-        attrs: { colspan: 1, rowspan: 1, background: COLORS.headerBg, localId: uuid() },
-        content: [paragraph("Content Owner")],
-      }, {
-        type: "tableCell",
-        attrs: { colspan: 1, rowspan: 1, localId: uuid() },
-        content: [paragraph(owner)],
-      }],
-    });
-    // Style the header text white
-    rows[rows.length - 1].content[0].content[0].content = [{
-      type: "text",
-      text: "Content Owner",
-      marks: [{ type: "textColor", attrs: { color: COLORS.white } }],
-    }];
+// Value cell content: a whole "status:TEXT:color" is a lozenge and a whole
+// YYYY-MM-DD a date; anything else is inline markdown (@email, PROJ-123 ...)
+function metadataValue(value) {
+  const statusMatch = value.match(/^status:([^:]+)(?::(\w+))?$/);
+  if (statusMatch) {
+    const color = statusMatch[2] ?? currentTheme().lozenge;
+    if (!STATUS_COLORS.includes(color)) {
+      throw new Error(`Invalid status color "${color}" (expected ${STATUS_COLORS.join(", ")})`);
+    }
+    return [{ type: "status", attrs: { text: statusMatch[1], color, style: "bold", localId: uuid() } }];
   }
+  const date = dateNode(value);
+  if (date) return [date];
+  return parseInlineMarkdown(value, { extensions: metadataExtensions(currentOptions()) });
+}
 
-  if (date) {
-    rows.push({
+// Metadata table: one row per field, the label in a themed header cell
+function metadataTable(fields) {
+  const { background } = metadataHeader();
+  const rows = fields.map(([label, value]) => {
+    const content = metadataValue(value);
+    return {
       type: "tableRow",
       attrs: { localId: uuid() },
       content: [{
         type: "tableHeader",
-        attrs: { colspan: 1, rowspan: 1, background: COLORS.headerBg, localId: uuid() },
-        content: [{
-          type: "paragraph",
-          attrs: { localId: uuid() },
-          content: [{
-            type: "text",
-            text: "Last Update",
-            marks: [{ type: "textColor", attrs: { color: COLORS.white } }],
-          }],
-        }],
+        attrs: { colspan: 1, rowspan: 1, background, localId: uuid() },
+        content: [{ type: "paragraph", attrs: { localId: uuid() }, content: [headerText(label)] }],
       }, {
         type: "tableCell",
         attrs: { colspan: 1, rowspan: 1, localId: uuid() },
-        content: [paragraph(date)],
+        content: [{ type: "paragraph", attrs: { localId: uuid() }, ...(content.length > 0 && { content }) }],
       }],
-    });
-  }
+    };
+  });
 
   return {
     type: "table",
@@ -268,30 +215,20 @@ function metadataTable(owner, date) {
   };
 }
 
+// Metadata opener: fields on the same line (closing " :::" optional), or none
+// for the multi-line form
+const METADATA_OPEN = /^:::metadata(?:\s+(.*?))?(?:\s:::)?$/;
+
 // Table of contents macro
 function tocMacro(maxLevel = 2) {
-  return {
-    type: "extension",
-    attrs: {
-      layout: "default",
-      extensionType: "com.atlassian.confluence.macro.core",
-      extensionKey: "toc",
-      parameters: {
-        macroParams: {
-          maxLevel: { value: String(maxLevel) },
-        },
-        macroMetadata: {
-          macroId: { value: uuid() },
-          schemaVersion: { value: "1" },
-          title: "Table of Contents",
-        },
-      },
-      localId: uuid(),
-    },
-  };
+  return macroNode("toc", { maxLevel: String(maxLevel) }, { uuid });
 }
 
-// Callout box (table with status lozenge)
+// Macro opener: :::macro key=NAME params... - one-line when it ends in " :::"
+const MACRO_OPEN = /^:::macro(?:\s+(.*?))?(\s:::)?$/;
+
+// Callout box (table with status lozenge).
+// content items are paragraph strings or ready-made block nodes.
 function calloutBox(title, color, content) {
   return {
     type: "table",
@@ -311,241 +248,208 @@ function calloutBox(title, color, content) {
               { type: "text", text: " " },
             ],
           },
-          ...content.map(p => paragraph(p)),
+          ...content.map(p => (typeof p === "string" ? paragraph(p) : p)),
         ],
       }],
     }],
   };
 }
 
-// Horizontal rule
-function rule() {
-  return { type: "rule" };
+// Columns: :::columns widths=33,66 layout=wide, then :::column between columns
+const COLUMNS_OPEN = /^:::columns(?:\s+(.*))?$/;
+const COLUMN_BREAK = /^:::column$/;
+const COLUMNS_LAYOUTS = ["wide", "full-width"];
+
+// Parse the attributes after :::columns
+function parseColumnsAttrs(text = "") {
+  const attrs = {};
+  for (const pair of text.trim().split(/\s+/).filter(Boolean)) {
+    const [key, value = ""] = pair.split("=");
+    if (key === "widths") {
+      const widths = value.split(",").map(Number);
+      if (widths.some((w) => !(w > 0))) {
+        throw new Error(`Invalid column widths "${value}" (expected e.g. 33,66)`);
+      }
+      attrs.widths = widths;
+    } else if (key === "layout") {
+      if (!COLUMNS_LAYOUTS.includes(value)) {
+        throw new Error(`Invalid columns layout "${value}" (expected ${COLUMNS_LAYOUTS.join(" or ")})`);
+      }
+      attrs.layout = value;
+    } else {
+      throw new Error(`Unknown columns attribute "${key}" (expected widths or layout)`);
+    }
+  }
+  return attrs;
 }
 
-// Parse table from markdown
-function parseTable(lines) {
-  const parseRow = (line) =>
-    line.split("|").slice(1, -1).map((cell) => cell.trim());
-
-  const headers = parseRow(lines[0]);
-  const rows = lines.slice(2).map(parseRow);
-
-  const tableContent = [];
-
-  // Header row
-  tableContent.push({
-    type: "tableRow",
-    attrs: { localId: uuid() },
-    content: headers.map((h) => ({
-      type: "tableHeader",
-      attrs: { colspan: 1, rowspan: 1, localId: uuid() },
-      content: [{
-        type: "paragraph",
-        attrs: { localId: uuid() },
-        content: [{ type: "text", text: h, marks: [{ type: "strong" }] }],
-      }],
-    })),
-  });
-
-  // Data rows
-  for (const row of rows) {
-    tableContent.push({
-      type: "tableRow",
-      attrs: { localId: uuid() },
-      content: row.map((cell) => ({
-        type: "tableCell",
-        attrs: { colspan: 1, rowspan: 1, localId: uuid() },
-        content: [paragraph(cell)],
-      })),
-    });
+// Column widths in percent. Given widths must add up to 100 - or 99, so
+// thirds can be written 33,66 - and are scaled to 100 (33.33, 66.66).
+function layoutWidths(widths, columns) {
+  if (widths && widths.length !== columns) {
+    throw new Error(`Columns block has ${columns} column(s) but widths lists ${widths.length}`);
   }
-
-  return {
-    type: "table",
-    attrs: { layout: "default", localId: uuid() },
-    content: tableContent,
-  };
+  if (columns < 2 || columns > 3) {
+    throw new Error(`Columns block has ${columns} column(s) (expected 2 or 3, separated by :::column)`);
+  }
+  const given = widths ?? Array(columns).fill(1);
+  const sum = given.reduce((a, b) => a + b, 0);
+  if (widths && (sum < 99 || sum > 100)) {
+    throw new Error(`Column widths ${widths.join(",")} add up to ${sum} (expected 100, or 99 for thirds such as 33,66)`);
+  }
+  return given.map((w) => Math.floor((w / sum) * 10000) / 100);
 }
 
-// Parse list
-function parseList(lines, ordered = false) {
-  const items = [];
-  let currentItem = null;
-  const itemPattern = ordered ? /^\d+\.\s+(.*)$/ : /^[-*]\s+(.*)$/;
-
+// Split a :::columns body at its own :::column lines (not ones in nested
+// blocks or code)
+function splitColumns(lines) {
+  const columns = [[]];
+  let depth = 0;
+  let inFence = false;
   for (const line of lines) {
-    const match = line.match(itemPattern);
-    if (match) {
-      if (currentItem) items.push(currentItem);
-      currentItem = [match[1]];
-    } else if (currentItem && line.match(/^\s+/)) {
-      currentItem.push(line.trim());
+    const trimmed = line.trim();
+    if (trimmed.startsWith("```")) {
+      inFence = !inFence;
+    } else if (!inFence && depth === 0 && COLUMN_BREAK.test(trimmed)) {
+      columns.push([]);
+      continue;
+    } else if (!inFence && trimmed === ":::") {
+      depth--;
+    } else if (!inFence && DIRECTIVE_OPEN.test(trimmed)) {
+      depth++;
     }
+    columns[columns.length - 1].push(line);
   }
-  if (currentItem) items.push(currentItem);
+  return columns;
+}
 
-  const listNode = {
-    type: ordered ? "orderedList" : "bulletList",
-    attrs: { localId: uuid() },
-    content: items.map((item) => ({
-      type: "listItem",
-      attrs: { localId: uuid() },
-      content: item.map((text) => paragraph(text)),
-    })),
+// layoutSection with one layoutColumn per column, each parsed as full markdown
+function layoutSection(attrs, columns) {
+  const widths = layoutWidths(attrs.widths, columns.length);
+  const section = {
+    type: "layoutSection",
+    content: columns.map((lines, n) => {
+      const content = parseBlocks(lines);
+      return { type: "layoutColumn", attrs: { width: widths[n] }, content: content.length > 0 ? content : [paragraph("")] };
+    }),
   };
-
-  if (ordered) {
-    listNode.attrs.order = 1;
+  if (attrs.layout) {
+    section.marks = [{ type: "breakout", attrs: { mode: attrs.layout } }];
   }
-
-  return listNode;
+  return section;
 }
 
-// Main parser
-function parseMarkdown(markdown) {
-  const lines = markdown.split("\n");
-  const content = [];
-  let i = 0;
-
-  while (i < lines.length) {
-    const line = lines[i];
-
-    // Metadata block: :::metadata owner="@Name" date="YYYY-MM-DD" :::
-    if (line.trim().startsWith(":::metadata")) {
-      const ownerMatch = line.match(/owner="([^"]+)"/);
-      const dateMatch = line.match(/date="([^"]+)"/);
-      content.push(metadataTable(ownerMatch?.[1], dateMatch?.[1]));
-      i++;
-      continue;
-    }
-
-    // TOC block: :::toc maxLevel=2 :::
-    if (line.trim().startsWith(":::toc")) {
-      const maxMatch = line.match(/maxLevel=(\d+)/);
-      content.push(tocMacro(maxMatch ? parseInt(maxMatch[1]) : 2));
-      i++;
-      continue;
-    }
-
-    // Callout block: :::callout title="TITLE" color=red
-    if (line.trim().startsWith(":::callout")) {
-      const titleMatch = line.match(/title="([^"]+)"/);
-      const colorMatch = line.match(/color=(\w+)/);
-      const calloutContent = [];
-      i++;
-      while (i < lines.length && !lines[i].trim().startsWith(":::")) {
-        if (lines[i].trim()) calloutContent.push(lines[i].trim());
-        i++;
-      }
-      i++; // skip closing :::
-      content.push(calloutBox(
-        titleMatch?.[1] || "NOTE",
-        colorMatch?.[1] || "blue",
-        calloutContent
-      ));
-      continue;
-    }
-
-    // Horizontal rule: ---
-    if (line.trim() === "---") {
-      content.push(rule());
-      i++;
-      continue;
-    }
+// Metadata block: :::metadata owner="@Name" date="YYYY-MM-DD" :::
+// or :::metadata alone, then one or more fields per line up to :::
+function metadataRule(lines, i) {
+  const metadataMatch = lines[i].trim().match(METADATA_OPEN);
+  if (!metadataMatch) return null;
+  if (metadataMatch[1] !== undefined) {
+    return { nodes: [metadataTable(parseMetadataFields(metadataMatch[1]))], next: i + 1 };
+  }
+  const { inner, next } = collectDirectiveBlock(lines, i);
+  return { nodes: [metadataTable(parseMetadataFields(inner.join(" ")))], next };
+}
 
-    // Heading with blue marker: ##! H2
-    const blueHeadingMatch = line.match(/^(#{2,4})!\s+(.+)$/);
-    if (blueHeadingMatch) {
-      const level = blueHeadingMatch[1].length;
-      content.push(heading(level, blueHeadingMatch[2], true));
-      i++;
-      continue;
-    }
+// TOC block: :::toc maxLevel=2 :::
+function tocRule(lines, i) {
+  const line = lines[i];
+  if (!line.trim().startsWith(":::toc")) return null;
+  const maxMatch = line.match(/maxLevel=(\d+)/);
+  return { nodes: [tocMacro(maxMatch ? parseInt(maxMatch[1]) : 2)], next: i + 1 };
+}
 
-    // Regular heading: # H1, ## H2, etc.
-    const headingMatch = line.match(/^(#{1,5})\s+(.+)$/);
-    if (headingMatch) {
-      const level = headingMatch[1].length;
-      content.push(heading(level, headingMatch[2], false));
-      i++;
-      continue;
-    }
+// Macro: :::macro key=children ::: or :::macro key=excerpt ... :::
+function macroRule(lines, i) {
+  const macroMatch = lines[i].trim().match(MACRO_OPEN);
+  if (!macroMatch) return null;
+  const { key, params } = parseMacroAttrs(macroMatch[1]);
+  if (macroMatch[2]) {
+    return { nodes: [macroNode(key, params, { uuid })], next: i + 1 };
+  }
+  const { inner, next } = collectDirectiveBlock(lines, i);
+  return { nodes: [macroNode(key, params, { uuid, lines: inner, parseBlocks })], next };
+}
 
-    // Table
-    if (line.match(/^\|.*\|$/)) {
-      const tableLines = [];
-      while (i < lines.length && lines[i].match(/^\|.*\|$/)) {
-        tableLines.push(lines[i]);
-        i++;
-      }
-      if (tableLines.length >= 2) {
-        content.push(parseTable(tableLines));
-      }
-      continue;
+// Callout block: :::callout title="TITLE" color=red
+function calloutRule(lines, i) {
+  const line = lines[i];
+  if (!line.trim().startsWith(":::callout")) return null;
+  const titleMatch = line.match(/title="([^"]+)"/);
+  const colorMatch = line.match(/color=(\w+)/);
+  const { inner, next } = collectDirectiveBlock(lines, i);
+  // Each line is a paragraph; expand sections become nestedExpand in the cell
+  const calloutContent = [];
+  for (let j = 0; j < inner.length;) {
+    const section = parseExpand(inner, j);
+    if (section) {
+      calloutContent.push(...nestExpand(section.node));
+      j = section.next;
+    } else {
+      if (inner[j].trim()) calloutContent.push(inner[j].trim());
+      j++;
     }
+  }
+  const callout = calloutBox(
+    titleMatch?.[1] || "NOTE",
+    colorMatch?.[1] || currentTheme().lozenge,
+    calloutContent
+  );
+  return { nodes: [callout], next };
+}
 
-    // Bullet list
-    if (line.match(/^[-*]\s+/)) {
-      const listLines = [];
-      while (i < lines.length && (lines[i].match(/^[-*]\s+/) || lines[i].match(/^\s+\S/))) {
-        listLines.push(lines[i]);
-        i++;
-      }
-      content.push(parseList(listLines, false));
-      continue;
-    }
+// Columns: :::columns widths=33,66 ... :::column ... :::
+function columnsRule(lines, i) {
+  const columnsMatch = lines[i].trim().match(COLUMNS_OPEN);
+  if (!columnsMatch) return null;
+  const attrs = parseColumnsAttrs(columnsMatch[1]);
+  const { inner, next } = collectDirectiveBlock(lines, i);
+  return { nodes: [layoutSection(attrs, splitColumns(inner))], next };
+}
 
-    // Numbered list
-    if (line.match(/^\d+\.\s+/)) {
-      const listLines = [];
-      while (i < lines.length && (lines[i].match(/^\d+\.\s+/) || lines[i].match(/^\s+\S/))) {
-        listLines.push(lines[i]);
-        i++;
-      }
-      content.push(parseList(listLines, true));
-      continue;
-    }
+// Main
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      validate: { type: "boolean", default: false },
+      "cell-lists": { type: "boolean", default: false },
+      seed: { type: "string" },
+      "stable-ids": { type: "boolean", default: false },
+      theme: { type: "string" },
+    },
+  });
 
-    // Empty line
-    if (line.trim() === "") {
-      i++;
-      continue;
-    }
+  const input = await Bun.stdin.text();
+  const adf = parseMarkdown(input, {
+    cellLists: values["cell-lists"],
+    newId: idGenerator({ seed: values.seed, stable: values["stable-ids"] }),
+    theme: loadTheme(values.theme ?? process.env.ADF_THEME, "confluence"),
+  });
 
-    // Regular paragraph
-    const paraLines = [];
-    while (i < lines.length &&
-           lines[i].trim() !== "" &&
-           !lines[i].match(/^#{1,5}\s/) &&
-           !lines[i].match(/^\|/) &&
-           !lines[i].match(/^[-*]\s/) &&
-           !lines[i].match(/^\d+\.\s/) &&
-           !lines[i].match(/^:::/) &&
-           lines[i].trim() !== "---") {
-      paraLines.push(lines[i]);
-      i++;
-    }
-    if (paraLines.length > 0) {
-      content.push(paragraph(paraLines));  // Pass array to insert hardBreaks
+  if (values.validate) {
+    const result = validateAdf(adf);
+    if (!result.valid) {
+      console.error(JSON.stringify(result, null, 2));
+      process.exit(1);
     }
   }
 
-  return {
-    version: 1,
-    type: "doc",
-    content: content,
-  };
-}
+  // Local images need uploading - a publish step reads this manifest
+  const attachments = collectAttachments(adf);
+  if (attachments.length > 0) {
+    console.error(JSON.stringify({ attachments }));
+  }
 
-// Main
-async function main() {
-  const input = await Bun.stdin.text();
-  const adf = parseMarkdown(input);
   console.log(JSON.stringify(adf));
 }
 
-main().catch((err) => {
-  console.error("Error:", err.message);
-  process.exit(1);
-});
+// Export for testing
+export { parseMarkdown };
+
+// Only run main() when executed directly (not when imported)
+if (import.meta.main) {
+  main().catch((err) => {
+    console.error("Error:", err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,205 @@
+#!/usr/bin/env bun
+/**
+ * Tests for confluence-md-to-adf.js
+ * Run with: bun test confluence-md-to-adf.test.js
+ */
+
+import { describe, test, expect } from "bun:test";
+import { $ } from "bun";
+import { parseMarkdown } from "./confluence-md-to-adf.js";
+import { loadTheme } from "../../../lib/adf/theme.js";
+
+const SCRIPT = import.meta.dir + "/confluence-md-to-adf.js";
+
+async function convertValidated(markdown) {
+  const result = await $`echo ${markdown} | ${SCRIPT} --validate`.nothrow().quiet();
+  return { exitCode: result.exitCode, stdout: result.stdout.toString(), stderr: result.stderr.toString() };
+}
+
+describe("confluence-md-to-adf", () => {
+  describe("columns", () => {
+    test("one layoutColumn per :::column, widths scaled to 100", () => {
+      const adf = parseMarkdown(":::columns widths=33,66\nLeft\n:::column\nRight\n:::");
+      const section = adf.content[0];
+
+      expect(section.type).toBe("layoutSection");
+      expect(section.marks).toBeUndefined();
+      expect(section.content.map((c) => c.attrs.width)).toEqual([33.33, 66.66]);
+      expect(section.content[1].content[0].content[0].text).toBe("Right");
+    });
+
+    test("equal widths when none are given, layout as a breakout mark", () => {
+      const adf = parseMarkdown(":::columns layout=full-width\nA\n:::column\nB\n:::column\nC\n:::");
+      const section = adf.content[0];
+
+      expect(section.content.map((c) => c.attrs.width)).toEqual([33.33, 33.33, 33.33]);
+      expect(section.marks).toEqual([{ type: "breakout", attrs: { mode: "full-width" } }]);
+    });
+
+    test("nested directives and code keep their own :::column lines", () => {
+      const md = [":::columns", ":::expand title=\"Notes\"", "inside", ":::", ":::column", "```", ":::column", "```", ":::"].join("\n");
+      const section = parseMarkdown(md).content[0];
+
+      expect(section.content).toHaveLength(2);
+      expect(section.content[0].content[0].type).toBe("expand");
+    });
+
+    test("empty columns get an empty paragraph", () => {
+      const section = parseMarkdown(":::columns\n:::column\nRight\n:::").content[0];
+      expect(section.content[0].content).toHaveLength(1);
+      expect(section.content[0].content[0].type).toBe("paragraph");
+      expect(section.content[0].content[0].content).toBeUndefined();
+    });
+
+    test("bad widths, counts and attributes are errors", () => {
+      expect(() => parseMarkdown(":::columns widths=30,60\nA\n:::column\nB\n:::")).toThrow(
+        "Column widths 30,60 add up to 90 (expected 100, or 99 for thirds such as 33,66)",
+      );
+      expect(() => parseMarkdown(":::columns widths=50,50\nA\n:::")).toThrow("Columns block has 1 column(s) but widths lists 2");
+      expect(() => parseMarkdown(":::columns\nA\n:::")).toThrow("expected 2 or 3");
+      expect(() => parseMarkdown(":::columns widths=a,b\nA\n:::column\nB\n:::")).toThrow('Invalid column widths "a,b"');
+      expect(() => parseMarkdown(":::columns layout=narrow\nA\n:::column\nB\n:::")).toThrow('Invalid columns layout "narrow"');
+      expect(() => parseMarkdown(":::columns size=2\nA\n:::column\nB\n:::")).toThrow('Unknown columns attribute "size"');
+    });
+
+    test("output passes --validate", async () => {
+      const result = await convertValidated(":::columns widths=50,50\n## Left\n:::column\n- right\n:::");
+      expect(result.exitCode).toBe(0);
+      expect(JSON.parse(result.stdout).content[0].type).toBe("layoutSection");
+    });
+  });
+
+  describe("macros", () => {
+    test("one-line macros are extensions, block macros are bodied", () => {
+      const adf = parseMarkdown(":::macro key=children depth=2 :::\n\n:::macro key=excerpt\n## Summary\nKafka moves.\n:::\nAfter");
+
+      expect(adf.content.map((n) => n.type)).toEqual(["extension", "bodiedExtension", "paragraph"]);
+      expect(adf.content[0].attrs.parameters.macroParams).toEqual({ depth: { value: "2" } });
+      expect(adf.content[1].content.map((n) => n.type)).toEqual(["heading", "paragraph"]);
+    });
+
+    test(":::toc still builds the toc macro", () => {
+      const [toc] = parseMarkdown(":::toc maxLevel=3 :::").content;
+      expect(toc.attrs.extensionKey).toBe("toc");
+      expect(toc.attrs.parameters.macroParams).toEqual({ maxLevel: { value: "3" } });
+    });
+
+    test("registry errors surface from the CLI", async () => {
+      const result = await convertValidated(':::macro key=jira columns="key,summary" :::');
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr).toContain('Macro "jira" needs jql=');
+    });
+  });
+
+  describe("metadata", () => {
+    // [label, value cell content] per row
+    function metadataRows(table) {
+      return table.content.map((row) => [row.content[0].content[0].content[0].text, row.content[1].content[0].content]);
+    }
+
+    test("owner and date keep their labels, the date becomes a date node", () => {
+      const [table] = parseMarkdown(':::metadata owner="@Jane Doe" date="2025-01-29" :::').content;
+      expect(metadataRows(table)).toEqual([
+        ["Content Owner", [{ type: "text", text: "@Jane Doe" }]],
+        ["Last Update", [{ type: "date", attrs: { timestamp: "1738108800000" } }]],
+      ]);
+    });
+
+    test("any fields, in order, one per line in the block form", () => {
+      const md = [
+        ":::metadata",
+        'reviewers="@ana@corp.com, @raj@corp.com"',
+        'status="status:IN REVIEW:yellow"',
+        '"Jira Epic"=PE-42 last_reviewed=2025-02-10',
+        'audience="Data engineers"',
+        ":::",
+        "After",
+      ].join("\n");
+      const adf = parseMarkdown(md, { baseUrl: "https://corp.atlassian.net" });
+      const rows = metadataRows(adf.content[0]);
+
+      expect(rows.map(([label]) => label)).toEqual(["Reviewers", "Status", "Jira Epic", "Last Reviewed", "Audience"]);
+      expect(rows[0][1]).toEqual([
+        { type: "mention", attrs: { id: "__EMAIL__:ana@corp.com", text: "@ana@corp.com", accessLevel: "" } },
+        { type: "text", text: ", " },
+        { type: "mention", attrs: { id: "__EMAIL__:raj@corp.com", text: "@raj@corp.com", accessLevel: "" } },
+      ]);
+      expect(rows[1][1]).toEqual([
+        { type: "status", attrs: { text: "IN REVIEW", color: "yellow", style: "bold", localId: expect.any(String) } },
+      ]);
+      expect(rows[2][1]).toEqual([{ type: "inlineCard", attrs: { url: "https://corp.atlassian.net/browse/PE-42" } }]);
+      expect(rows[3][1]).toEqual([{ type: "date", attrs: { timestamp: "1739145600000" } }]);
+      expect(rows[4][1]).toEqual([{ type: "text", text: "Data engineers" }]);
+      expect(adf.content[1].content[0].text).toBe("After");
+    });
+
+    test("each document's options reach its metadata values", () => {
+      const epic = (baseUrl) => metadataRows(parseMarkdown(":::metadata epic=PE-42 :::", { baseUrl }).content[0])[0][1];
+      expect(epic("https://a.atlassian.net")[0].attrs.url).toBe("https://a.atlassian.net/browse/PE-42");
+      expect(epic("https://b.atlassian.net")[0].attrs.url).toBe("https://b.atlassian.net/browse/PE-42");
+    });
+
+    test("a date that doesn't exist stays text", () => {
+      const [table] = parseMarkdown(":::metadata date=2025-02-30 :::").content;
+      expect(metadataRows(table)).toEqual([["Last Update", [{ type: "text", text: "2025-02-30" }]]]);
+    });
+
+    test("headers keep the theme's background and text colour", () => {
+      const [table] = parseMarkdown(':::metadata status="status:DRAFT" audience="" :::').content;
+      const [header, cell] = table.content[0].content;
+
+      expect(header.attrs.background).toBe("#42526e");
+      expect(header.content[0].content[0].marks).toEqual([{ type: "textColor", attrs: { color: "#FFFFFF" } }]);
+      expect(cell.content[0].content[0].attrs.color).toBe("blue");
+      expect(table.content[1].content[1].content[0].content).toBeUndefined();
+    });
+
+    test("a theme's table header styles metadata and pipe tables alike", () => {
+      const theme = { ...loadTheme("confluence", "confluence"), tableHeader: { background: "#403294", color: null } };
+      const [metadata, table] = parseMarkdown(':::metadata owner="Data" :::\n\n| A |\n|---|\n| 1 |', { theme }).content;
+
+      expect(metadata.content[0].content[0].attrs.background).toBe("#403294");
+      expect(metadata.content[0].content[0].content[0].content[0].marks).toBeUndefined();
+      expect(table.content[0].content[0].attrs.background).toBe("#403294");
+      expect(table.content[1].content[0].attrs.background).toBeUndefined();
+    });
+
+    test("bad fields and colours are errors", () => {
+      expect(() => parseMarkdown(":::metadata owner :::")).toThrow('Invalid metadata "owner" (expected key="value")');
+      expect(() => parseMarkdown(":::metadata\n:::")).toThrow("Invalid metadata");
+      expect(() => parseMarkdown(':::metadata status="status:DONE:orange" :::')).toThrow('Invalid status color "orange"');
+    });
+
+    test("output passes --validate", async () => {
+      const result = await convertValidated(':::metadata owner="@ana@corp.com" epic=PE-42 status="status:LIVE:green" :::');
+      expect(result.exitCode).toBe(0);
+      expect(JSON.parse(result.stdout).content[0].content).toHaveLength(3);
+    });
+  });
+
+  describe("code, quotes and nested lists", () => {
+    test("markdown inside code fences stays literal", async () => {
+      const result = await convertValidated("```bash\n# **not** a heading\n```");
+      expect(result.exitCode).toBe(0);
+      expect(JSON.parse(result.stdout).content).toEqual([
+        { type: "codeBlock", attrs: { language: "bash" }, content: [{ type: "text", text: "# **not** a heading" }] },
+      ]);
+    });
+
+    test("indented lists nest, with localIds on every list node", () => {
+      const [list] = parseMarkdown("1. Drain\n   - stop ingest\n2. Restart").content;
+      const nested = list.content[0].content[1];
+
+      expect(list.attrs.order).toBe(1);
+      expect(list.attrs.localId).toBeString();
+      expect(nested.type).toBe("bulletList");
+      expect(nested.attrs.localId).toBeString();
+      expect(nested.content[0].attrs.localId).toBeString();
+    });
+
+    test("blockquotes inside expands", () => {
+      const adf = parseMarkdown(":::expand title=\"Quote\"\n> from the incident\n:::");
+      expect(adf.content[0].content[0].type).toBe("blockquote");
+    });
+  });
+});
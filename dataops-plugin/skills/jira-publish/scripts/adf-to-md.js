@@ -0,0 +1,501 @@
+#!/usr/bin/env bun
+/**
+ * adf-to-md.js - Convert Atlassian Document Format (ADF) back to styled markdown
+ *
+ * Usage:
+ *   echo '{"version":1,"type":"doc",...}' | adf-to-md.js
+ *   jira-api.sh get PE-1234 | adf-to-md.js      # uses fields.description
+ *
+ * Emits the same dialect md-to-adf.js accepts, so that
+ * md-to-adf(adf-to-md(doc)) reproduces the document:
+ *   Context table (CONTEXT lozenge) -> :::context ... :::
+ *   heading level N                 -> ## / ### / #### (H1 -> ##, H5/H6 -> ####: Jira's range)
+ *   panel (panelType)               -> :::info / :::warning / ... :::
+ *   expand / nestedExpand           -> :::expand title="..." ... :::
+ *   status                          -> {status:TEXT:color}
+ *   date / emoji                    -> {date:YYYY-MM-DD} / :shortname:
+ *   inlineCard .../browse/PROJ-123  -> PROJ-123
+ *   mention                         -> @email (when the email is known)
+ *   mediaSingle                     -> ![alt](url){width=50%}
+ *   table colwidth / numbers / layout -> {widths=20,50,30 numbered header-column layout=wide}
+ *   strong/em/strike/code/link marks -> **, *, ~~, `, [..](..) with syntax characters escaped
+ *   superscript numbers + "Notes"   -> text[^1] and "[^1]: note" definitions at the end
+ */
+
+import { LAYOUT_WIDTHS } from "../../../lib/adf/table.js";
+import { lookupEmoji } from "../../../lib/adf/emoji.js";
+
+// Jira browse URL -> issue key
+const BROWSE_URL = /\/browse\/([A-Z][A-Z0-9]+-\d+)\/?$/;
+
+// Email-shaped mention text: "@alice@corp.com"
+const EMAIL_MENTION = /^@?([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})$/;
+
+// Markdown delimiters for each mark, outermost first when several open together
+const MARK_ORDER = ["link", "strong", "em", "strike"];
+const DELIMITERS = { strong: ["**", "**"], em: ["*", "*"], strike: ["~~", "~~"] };
+
+// Backslash-escape characters the inline parser would otherwise treat as syntax.
+// Link text is never linked again, so only plain text needs keys and URLs escaped.
+function escapeText(text, linked = false) {
+  const escaped = text
+    .replace(/[\\`*[\]{]/g, "\\$&")
+    .replace(/~~/g, "\\~\\~")
+    .replace(/<(?=[a-zA-Z])/g, "\\<")
+    .replace(/@(?=[a-zA-Z0-9._%+-]+@)/g, "\\@")
+    // Only shortcodes md-to-adf knows would turn into emoji
+    .replace(/:([a-z0-9_+-]+):/g, (m, name) => (lookupEmoji(name) ? "\\" + m : m))
+    // "_" only matters at word edges (snake_case stays readable)
+    .replace(/(^|[^A-Za-z0-9])_|_(?=[^A-Za-z0-9]|$)/g, (m) => m.replace("_", "\\_"));
+  if (linked) return escaped;
+  // Issue-key and URL shaped text would come back as inline cards and links
+  return escaped
+    .replace(/(^|[^A-Za-z0-9])([A-Z][A-Z0-9]+)-(?=\d)/g, "$1$2\\-")
+    .replace(/(^|[^A-Za-z0-9])(https?):(?=\/\/)/g, "$1$2\\:")
+    .replace(/(^|[^A-Za-z0-9])www\.(?=\S)/g, "$1www\\.");
+}
+
+// Paragraph lines that would read as block syntax (heading, list, quote,
+// table, directive) get their first character escaped
+function escapeLineStarts(md) {
+  return md
+    .replace(/^(?:#|>|\||:::|[-+](?=\s|--+\s*$))/gm, "\\$&")
+    .replace(/^(\d+)\.(?=\s)/gm, "$1\\.");
+}
+
+// Code span with a backtick fence longer than any run inside
+function codeSpan(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence = "`".repeat(longest + 1);
+  const pad = text.startsWith("`") || text.endsWith("`") ? " " : "";
+  return fence + pad + text + pad + fence;
+}
+
+function markKey(mark) {
+  return mark.type === "link" ? `link:${mark.attrs.href}:${mark.attrs.title ?? ""}` : mark.type;
+}
+
+function openMark(mark) {
+  return mark.type === "link" ? "[" : DELIMITERS[mark.type][0];
+}
+
+function closeMark(mark) {
+  if (mark.type !== "link") return DELIMITERS[mark.type][1];
+  // The parser's title syntax is "..." with no way to escape a quote inside
+  const title = mark.attrs.title ? ` "${mark.attrs.title.replace(/"/g, "'")}"` : "";
+  return `](${mark.attrs.href}${title})`;
+}
+
+// Resolve a mention node to @email where possible, else its display text
+function mentionToMarkdown(attrs, options) {
+  const id = attrs.id || "";
+  if (id.startsWith("__EMAIL__:")) {
+    return `@${id.slice("__EMAIL__:".length)}`;
+  }
+  const known = options.mentionEmails?.[id];
+  if (known) {
+    return `@${known}`;
+  }
+  const emailMatch = (attrs.text || "").match(EMAIL_MENTION);
+  if (emailMatch) {
+    return `@${emailMatch[1]}`;
+  }
+  return attrs.text || "";
+}
+
+function isAutolink(node) {
+  return (
+    node.type === "text" &&
+    node.marks?.length === 1 &&
+    node.marks[0].type === "link" &&
+    node.marks[0].attrs.href === node.text &&
+    !node.marks[0].attrs.title &&
+    /^[a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*$/.test(node.text)
+  );
+}
+
+// A superscript number that points into the document's Notes section
+function isFootnoteRef(node, options) {
+  if (node.type !== "text" || !options.footnotes || !/^\d+$/.test(node.text)) return false;
+  const number = Number(node.text);
+  return number >= 1 && number <= options.footnotes && node.marks?.some((m) => m.type === "subsup" && m.attrs?.type === "sup");
+}
+
+// Markdown for one inline node, ignoring its formatting marks
+function inlineNodeToMarkdown(node, options) {
+  if (isFootnoteRef(node, options)) return `[^${node.text}]`;
+  switch (node.type) {
+    case "text":
+      if (node.marks?.some((m) => m.type === "code")) return codeSpan(node.text);
+      return escapeText(node.text, node.marks?.some((m) => m.type === "link"));
+    case "hardBreak":
+      return "\n";
+    case "status":
+      return `{status:${node.attrs.text}:${node.attrs.color}}`;
+    case "inlineCard": {
+      const url = node.attrs?.url || "";
+      const keyMatch = url.match(BROWSE_URL);
+      return keyMatch ? keyMatch[1] : `[${url}](${url})`;
+    }
+    case "mention":
+      return mentionToMarkdown(node.attrs || {}, options);
+    case "emoji":
+      return node.attrs?.shortName || node.attrs?.text || "";
+    case "date":
+      return `{date:${new Date(Number(node.attrs.timestamp)).toISOString().slice(0, 10)}}`;
+    default:
+      // Unknown inline node - keep whatever text it carries
+      if (node.text) return node.text;
+      return node.content ? inlineToMarkdown(node.content, options) : "";
+  }
+}
+
+// Convert inline nodes (paragraph/heading content) to markdown text.
+// Marks are opened and closed across neighbouring nodes, so text that is
+// bold throughout with an italic word inside comes out as **a *b* c**.
+function inlineToMarkdown(nodes = [], options = {}) {
+  let out = "";
+  let open = [];
+  // Whitespace can't sit just inside a closing delimiter - hold it until we know
+  let pendingSpace = "";
+
+  const closeTo = (depth) => {
+    while (open.length > depth) out += closeMark(open.pop());
+  };
+
+  for (const node of nodes) {
+    // A link showing its own URL reads better as an autolink
+    if (isAutolink(node)) {
+      closeTo(0);
+      out += pendingSpace + `<${node.text}>`;
+      pendingSpace = "";
+      continue;
+    }
+
+    // A footnote's link comes from its note, not from a mark to write out
+    const footnote = isFootnoteRef(node, options);
+    const marks = (node.type === "text" ? node.marks || [] : [])
+      .filter((m) => m.type in DELIMITERS || (m.type === "link" && !footnote))
+      .sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type));
+    const keys = marks.map(markKey);
+
+    // Keep the open marks this node shares, close the rest
+    let keep = 0;
+    while (keep < open.length && keys.includes(markKey(open[keep]))) keep++;
+    if (keep < open.length) {
+      closeTo(keep);
+    }
+    out += pendingSpace;
+    pendingSpace = "";
+
+    let md = inlineNodeToMarkdown(node, options);
+    const opening = marks.filter((m) => !open.some((o) => markKey(o) === markKey(m)));
+    if (opening.length > 0) {
+      const lead = md.match(/^\s*/)[0];
+      out += lead;
+      md = md.slice(lead.length);
+      for (const mark of opening) {
+        out += openMark(mark);
+        open.push(mark);
+      }
+    }
+
+    if (open.length > 0) {
+      pendingSpace = md.match(/\s*$/)[0];
+      md = md.slice(0, md.length - pendingSpace.length);
+    }
+    out += md;
+  }
+  closeTo(0);
+  return out + pendingSpace;
+}
+
+// Plain text of inline nodes, ignoring marks
+function plainText(nodes = []) {
+  return nodes.map((n) => n.text ?? (n.content ? plainText(n.content) : "")).join("");
+}
+
+// Heading levels md-to-adf reads back (its Jira profile has H2-H4)
+const MIN_HEADING = 2;
+const MAX_HEADING = 4;
+
+// Heading in the Jira range: H1 becomes ##, H5/H6 become ####. The theme
+// bolds every heading, so strong marks are left for md-to-adf to add.
+function headingToMarkdown(node, options) {
+  const level = Math.min(Math.max(node.attrs?.level ?? MIN_HEADING, MIN_HEADING), MAX_HEADING);
+  const text = inlineToMarkdown((node.content || []).map(withoutStrong), options).replace(/\n/g, " ");
+  return `${"#".repeat(level)} ${text}`;
+}
+
+// Is this table the single-cell CONTEXT block produced by contextBlock()?
+function isContextBlock(table) {
+  const rows = table.content || [];
+  if (rows.length !== 1 || (rows[0].content || []).length !== 1) return false;
+  const first = rows[0].content[0].content?.[0];
+  const lozenge = first?.type === "paragraph" ? first.content?.[0] : null;
+  return lozenge?.type === "status" && lozenge.attrs?.text === "CONTEXT";
+}
+
+function contextToMarkdown(table, options) {
+  const cell = table.content[0].content[0];
+  const paragraphs = cell.content
+    .slice(1)
+    .map((block) => blockToMarkdown(block, options))
+    .filter((p) => p !== "");
+  return [":::context", paragraphs.join("\n\n"), ":::"].join("\n");
+}
+
+function tableToMarkdown(table, options) {
+  const rows = table.content || [];
+  // Cells are one line: <br> for line breaks, <br><br> between paragraphs,
+  // "• item" lines for bullet lists (md-to-adf --cell-lists reads them back).
+  // A list next to a paragraph needs only <br> - the bullet marks the switch.
+  const cellInline = (nodes) => inlineToMarkdown(nodes, options).replace(/\n/g, "<br>");
+  const cellText = (cell, isHeader) => {
+    const blocks = cell.content || [];
+    return blocks
+      .map((block) => {
+        if (block.type === "mediaSingle") return mediaToMarkdown(block);
+        if (block.type === "bulletList") {
+          return (block.content || []).map((item) => `• ${cellInline(item.content?.[0]?.content)}`).join("<br>");
+        }
+        // parseTable bolds header cells itself - drop that mark on the way back
+        const inline = isHeader ? (block.content || []).map(withoutStrong) : block.content;
+        return cellInline(inline);
+      })
+      .map((text, i) => {
+        if (i === 0) return text;
+        const listBoundary = (blocks[i - 1].type === "bulletList") !== (blocks[i].type === "bulletList");
+        return (listBoundary ? "<br>" : "<br><br>") + text;
+      })
+      .join("")
+      .replace(/\|/g, "\\|");
+  };
+
+  const lines = rows.map((row) => {
+    const cells = (row.content || []).map((cell) => cellText(cell, cell.type === "tableHeader"));
+    return `| ${cells.join(" | ")} |`;
+  });
+
+  // md-to-adf always treats the first row as the header row; alignment is
+  // read back from the header cells' paragraphs
+  const separator = (rows[0]?.content || []).map((cell) => {
+    const align = cell.content?.[0]?.marks?.find((m) => m.type === "alignment")?.attrs.align;
+    if (align === "center") return ":---:";
+    if (align === "end") return "---:";
+    return "---";
+  });
+  lines.splice(1, 0, `|${separator.join("|")}|`);
+
+  const attrLine = tableAttrLine(table);
+  if (attrLine) lines.push(attrLine);
+  return lines.join("\n");
+}
+
+// {widths=.. numbered header-column layout=..} line for table attrs md-to-adf
+// doesn't set by default; widths go back to percentages of the layout width
+function tableAttrLine(table) {
+  const rows = table.content || [];
+  const layout = table.attrs?.layout;
+  const parts = [];
+
+  const colwidths = (rows[0]?.content || []).map((cell) => cell.attrs?.colwidth?.[0]);
+  if (colwidths.length > 0 && colwidths.every((w) => w > 0)) {
+    const span = LAYOUT_WIDTHS[layout] ?? LAYOUT_WIDTHS.default;
+    parts.push(`widths=${colwidths.map((w) => Math.round((w / span) * 100)).join(",")}`);
+  }
+  if (table.attrs?.isNumberColumnEnabled) parts.push("numbered");
+  if (rows.length > 1 && rows.slice(1).every((row) => row.content?.[0]?.type === "tableHeader")) {
+    parts.push("header-column");
+  }
+  if (layout && layout !== "align-start" && layout !== "default") parts.push(`layout=${layout}`);
+
+  return parts.length > 0 ? `{${parts.join(" ")}}` : "";
+}
+
+function withoutStrong(node) {
+  if (!node.marks) return node;
+  const marks = node.marks.filter((m) => m.type !== "strong");
+  return marks.length > 0 ? { ...node, marks } : { type: node.type, text: node.text };
+}
+
+function listToMarkdown(list, options) {
+  const ordered = list.type === "orderedList";
+  let number = list.attrs?.order ?? 1;
+
+  return (list.content || [])
+    .map((item) => {
+      const marker = ordered ? `${number++}. ` : "- ";
+      const indent = " ".repeat(marker.length);
+      // Consecutive paragraphs need a blank line, or they re-join into one
+      const body = (item.content || [])
+        .map((block, idx, blocks) => {
+          const md = blockToMarkdown(block, options);
+          const separate = idx > 0 && block.type === "paragraph" && blocks[idx - 1].type === "paragraph";
+          return separate ? "\n" + md : md;
+        })
+        .join("\n")
+        .split("\n")
+        .map((line, idx) => (idx === 0 || line === "" ? line : indent + line))
+        .join("\n");
+      return marker + body;
+    })
+    .join("\n");
+}
+
+// taskList content is taskItems with nested taskLists in between
+function taskListToMarkdown(list, options) {
+  return (list.content || [])
+    .map((node) => {
+      if (node.type === "taskList") {
+        return taskListToMarkdown(node, options)
+          .split("\n")
+          .map((line) => "  " + line)
+          .join("\n");
+      }
+      const box = node.attrs?.state === "DONE" ? "[x]" : "[ ]";
+      const text = inlineToMarkdown(node.content, options).replace(/\n/g, " ");
+      return text ? `- ${box} ${text}` : `- ${box}`;
+    })
+    .join("\n");
+}
+
+function codeBlockToMarkdown(node) {
+  const language = node.attrs?.language || "";
+  const code = plainText(node.content);
+  return "```" + language + "\n" + code + "\n```";
+}
+
+function blockquoteToMarkdown(node, options) {
+  return blocksToMarkdown(node.content, options)
+    .split("\n")
+    .map((line) => (line === "" ? ">" : `> ${line}`))
+    .join("\n");
+}
+
+// mediaSingle -> ![alt](src){width=..% layout=..}; upload placeholders keep their path
+function mediaToMarkdown(node) {
+  const media = node.content?.[0]?.attrs || {};
+  const src = media.type === "external"
+    ? media.url
+    : (media.id || "").startsWith("__FILE__:") ? media.id.slice("__FILE__:".length) : `attachment:${media.id}`;
+  const attrs = [];
+  if (node.attrs?.width !== undefined) {
+    attrs.push(`width=${node.attrs.width}${node.attrs.widthType === "pixel" ? "px" : "%"}`);
+  }
+  if (node.attrs?.layout && node.attrs.layout !== "center") {
+    attrs.push(`layout=${node.attrs.layout}`);
+  }
+  const alt = escapeText(media.alt || "");
+  return `![${alt}](${src})` + (attrs.length > 0 ? `{${attrs.join(" ")}}` : "");
+}
+
+// Convert a single block node to markdown (no trailing newline)
+function blockToMarkdown(node, options = {}) {
+  switch (node.type) {
+    case "paragraph":
+      return escapeLineStarts(inlineToMarkdown(node.content, options));
+    case "heading":
+      return headingToMarkdown(node, options);
+    case "table":
+      return isContextBlock(node) ? contextToMarkdown(node, options) : tableToMarkdown(node, options);
+    case "bulletList":
+    case "orderedList":
+      return listToMarkdown(node, options);
+    case "taskList":
+      return taskListToMarkdown(node, options);
+    case "codeBlock":
+      return codeBlockToMarkdown(node);
+    case "blockquote":
+      return blockquoteToMarkdown(node, options);
+    case "rule":
+      return "---";
+    case "expand":
+    case "nestedExpand": {
+      // Like link titles, :::expand titles can't escape a quote
+      const title = node.attrs?.title ? ` title="${node.attrs.title.replace(/"/g, "'")}"` : "";
+      return [`:::expand${title}`, blocksToMarkdown(node.content, options), ":::"].join("\n");
+    }
+    case "mediaSingle":
+      return mediaToMarkdown(node);
+    case "panel":
+      return [`:::${node.attrs?.panelType || "info"}`, blocksToMarkdown(node.content, options), ":::"].join("\n");
+    default:
+      // Unknown container (panel, expand, ...) - keep its content
+      return node.content ? blocksToMarkdown(node.content, options) : "";
+  }
+}
+
+// Convert a list of block nodes, separated by blank lines
+function blocksToMarkdown(nodes = [], options = {}) {
+  return nodes
+    .map((node) => blockToMarkdown(node, options))
+    .filter((md) => md !== "")
+    .join("\n\n");
+}
+
+// The "Notes" heading and numbered list md-to-adf appends for footnotes:
+// the list, when the document ends with one
+function notesList(blocks) {
+  const [heading, list] = blocks.slice(-2);
+  if (heading?.type !== "heading" || plainText(heading.content) !== "Notes") return null;
+  if (list?.type !== "orderedList" || (list.attrs?.order ?? 1) !== 1) return null;
+  return list;
+}
+
+// [^n]: note lines for the Notes list, numbered as the references are
+function footnoteDefinitions(list, options) {
+  return (list.content || [])
+    .map((item, n) => {
+      const note = (item.content || [])
+        .map((block) => (block.type === "paragraph" ? inlineToMarkdown(block.content, options) : blockToMarkdown(block, options)))
+        .join(" ")
+        .replace(/\n/g, " ");
+      return `[^${n + 1}]: ${note}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Convert an ADF document to styled markdown.
+ * @param {object} doc - ADF document ({ type: "doc", content: [...] })
+ * @param {{mentionEmails?: Object<string, string>}} [options] - accountId -> email
+ *   map used to turn resolved mentions back into @email
+ * @returns {string} markdown
+ */
+function adfToMarkdown(doc, options = {}) {
+  if (!doc || doc.type !== "doc") {
+    throw new Error("Input is not an ADF document (expected type: doc)");
+  }
+  const blocks = doc.content || [];
+  const notes = notesList(blocks);
+  if (!notes) {
+    const md = blocksToMarkdown(blocks, options);
+    return md ? md + "\n" : "";
+  }
+  const withNotes = { ...options, footnotes: notes.content?.length ?? 0 };
+  const body = blocksToMarkdown(blocks.slice(0, -2), withNotes);
+  return [body, footnoteDefinitions(notes, withNotes)].filter(Boolean).join("\n\n") + "\n";
+}
+
+// Export for testing
+export { adfToMarkdown, inlineToMarkdown, blockToMarkdown };
+
+// Main
+async function main() {
+  const input = JSON.parse(await Bun.stdin.text());
+  // Accept a Jira issue response (jira-api.sh get) as well as a bare document
+  const doc = input?.fields ? input.fields.description : input;
+  if (!doc) {
+    throw new Error("Issue has no description");
+  }
+  process.stdout.write(adfToMarkdown(doc));
+}
+
+// Only run main() when executed directly (not when imported)
+if (import.meta.main) {
+  main().catch((err) => {
+    console.error("Error:", err.message);
+    process.exit(1);
+  });
+}
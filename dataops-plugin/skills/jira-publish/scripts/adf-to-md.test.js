@@ -0,0 +1,286 @@
+#!/usr/bin/env bun
+/**
+ * Tests for adf-to-md.js
+ * Run with: bun test adf-to-md.test.js
+ */
+
+import { describe, test, expect } from "bun:test";
+import { adfToMarkdown } from "./adf-to-md.js";
+import { parseMarkdown } from "./md-to-adf.js";
+
+// localIds are random per run - drop them before comparing documents
+function withoutIds(node) {
+  return JSON.parse(JSON.stringify(node, (key, value) => (key === "localId" ? undefined : value)));
+}
+
+function roundTrip(markdown) {
+  const adf = parseMarkdown(markdown);
+  const again = parseMarkdown(adfToMarkdown(adf));
+  return { adf: withoutIds(adf), again: withoutIds(again) };
+}
+
+function doc(...content) {
+  return { version: 1, type: "doc", content };
+}
+
+describe("adf-to-md", () => {
+  describe("blocks", () => {
+    test("context table becomes :::context block", () => {
+      const md = adfToMarkdown(parseMarkdown(`:::context
+First paragraph.
+
+Second paragraph.
+:::`));
+      expect(md).toBe(":::context\nFirst paragraph.\n\nSecond paragraph.\n:::\n");
+    });
+
+    test("headings keep their level", () => {
+      const md = adfToMarkdown(parseMarkdown("## Section\n\n#### Question"));
+      expect(md).toBe("## Section\n\n#### Question\n");
+    });
+
+    test("levels outside H2-H4 are clamped into Jira's range", () => {
+      const heading = (level) => ({ type: "heading", attrs: { level }, content: [{ type: "text", text: `H${level}` }] });
+      const md = adfToMarkdown(doc(heading(1), heading(5), heading(6)));
+      expect(md).toBe("## H1\n\n#### H5\n\n#### H6\n");
+      expect(parseMarkdown(md).content.map((n) => n.type)).toEqual(["heading", "heading", "heading"]);
+    });
+
+    test("quotes in expand titles don't break the opener", () => {
+      const md = adfToMarkdown(doc({
+        type: "expand",
+        attrs: { title: 'Say "hi"' },
+        content: [{ type: "paragraph", content: [{ type: "text", text: "body" }] }],
+      }));
+      expect(md).toBe(":::expand title=\"Say 'hi'\"\nbody\n:::\n");
+      expect(parseMarkdown(md).content[0]).toMatchObject({ type: "expand", attrs: { title: "Say 'hi'" } });
+    });
+
+    test("regular table emits header separator", () => {
+      const md = adfToMarkdown(parseMarkdown("| A | B |\n|---|---|\n| 1 | 2 |"));
+      expect(md).toBe("| A | B |\n|---|---|\n| 1 | 2 |\n");
+    });
+
+    test("ordered list respects start number", () => {
+      const adf = doc({
+        type: "orderedList",
+        attrs: { order: 3 },
+        content: [
+          { type: "listItem", content: [{ type: "paragraph", content: [{ type: "text", text: "three" }] }] },
+          { type: "listItem", content: [{ type: "paragraph", content: [{ type: "text", text: "four" }] }] },
+        ],
+      });
+      expect(adfToMarkdown(adf)).toBe("3. three\n4. four\n");
+    });
+
+    test("code block keeps language", () => {
+      const md = adfToMarkdown(parseMarkdown("```bash\necho hi\n```"));
+      expect(md).toBe("```bash\necho hi\n```\n");
+    });
+
+    test("rejects non-document input", () => {
+      expect(() => adfToMarkdown({ type: "paragraph" })).toThrow("not an ADF document");
+    });
+  });
+
+  describe("inline nodes", () => {
+    test("status lozenge", () => {
+      const md = adfToMarkdown(parseMarkdown("{status:BLOCKED:red} waiting"));
+      expect(md).toBe("{status:BLOCKED:red} waiting\n");
+    });
+
+    test("date and emoji use their markdown forms", () => {
+      const md = adfToMarkdown(parseMarkdown("Due {date:2025-03-01} :tada: :check_mark:"));
+      expect(md).toBe("Due {date:2025-03-01} :tada: :check_mark:\n");
+    });
+
+    test("literal shortcode text is escaped", () => {
+      const adf = doc({ type: "paragraph", content: [{ type: "text", text: "type :fire: or :nope: at 10:30" }] });
+      const md = adfToMarkdown(adf);
+      expect(md).toBe("type \\:fire: or :nope: at 10:30\n");
+      expect(withoutIds(parseMarkdown(md))).toEqual(adf);
+    });
+
+    test("browse inlineCard becomes bare issue key", () => {
+      const adf = doc({
+        type: "paragraph",
+        content: [
+          { type: "text", text: "See " },
+          { type: "inlineCard", attrs: { url: "https://mcghealth.atlassian.net/browse/PE-1234" } },
+        ],
+      });
+      expect(adfToMarkdown(adf)).toBe("See PE-1234\n");
+    });
+
+    test("unresolved mention placeholder becomes @email", () => {
+      const md = adfToMarkdown(parseMarkdown("Hey @alice@corp.com please review"));
+      expect(md).toBe("Hey @alice@corp.com please review\n");
+    });
+
+    test("resolved mention uses the accountId -> email map", () => {
+      const adf = doc({
+        type: "paragraph",
+        content: [{ type: "mention", attrs: { id: "5b10ac8d", text: "@Alice Smith" } }],
+      });
+      expect(adfToMarkdown(adf, { mentionEmails: { "5b10ac8d": "alice@corp.com" } })).toBe("@alice@corp.com\n");
+      expect(adfToMarkdown(adf)).toBe("@Alice Smith\n");
+    });
+
+    test("marks wrap text", () => {
+      const md = adfToMarkdown(parseMarkdown("A **bold**, *em* and `code` [link](http://x.io)"));
+      expect(md).toBe("A **bold**, *em* and `code` [link](http://x.io)\n");
+    });
+
+    test("overlapping marks open and close across text nodes", () => {
+      const md = adfToMarkdown(parseMarkdown("**bold with *italic* inside** and ~~gone~~"));
+      expect(md).toBe("**bold with *italic* inside** and ~~gone~~\n");
+    });
+
+    test("whitespace moves outside delimiters", () => {
+      const adf = doc({
+        type: "paragraph",
+        content: [
+          { type: "text", text: "bold ", marks: [{ type: "strong" }] },
+          { type: "text", text: "plain" },
+        ],
+      });
+      expect(adfToMarkdown(adf)).toBe("**bold** plain\n");
+    });
+
+    test("markdown syntax in plain text is escaped", () => {
+      const adf = doc({
+        type: "paragraph",
+        content: [{ type: "text", text: "# 2 * [x] {status:A:red} snake_case _x_" }],
+      });
+      expect(adfToMarkdown(adf)).toBe("\\# 2 \\* \\[x\\] \\{status:A:red} snake_case \\_x\\_\n");
+    });
+
+    test("code span fence outgrows backticks inside", () => {
+      const adf = doc({ type: "paragraph", content: [{ type: "text", text: "a`b", marks: [{ type: "code" }] }] });
+      expect(adfToMarkdown(adf)).toBe("``a`b``\n");
+    });
+
+    test("media keeps width and layout", () => {
+      const md = adfToMarkdown(parseMarkdown("![Chart](https://x.io/c.png){width=40% layout=wide}\n\n![Shot](./s.png)"));
+      expect(md).toBe("![Chart](https://x.io/c.png){width=40% layout=wide}\n\n![Shot](./s.png)\n");
+    });
+
+    test("multi-block table cells use <br> and bullets", () => {
+      const markdown = `| Status |
+|---|
+| Shipped:<br>• api<br>• ui<br>line<br>break |
+`;
+      const adf = parseMarkdown(markdown, { cellLists: true });
+      expect(adfToMarkdown(adf)).toBe(markdown);
+    });
+
+    test("table attributes come back as an attribute line", () => {
+      const markdown = `| Key | Summary |
+|---|---|
+| A-1 | First |
+{widths=25,75 numbered header-column layout=full-width}
+`;
+      expect(adfToMarkdown(parseMarkdown(markdown))).toBe(markdown);
+    });
+
+    test("link titles are kept", () => {
+      const md = adfToMarkdown(parseMarkdown(`[a](https://x.io "Title") and [https://y.io](https://y.io "Y")`));
+      expect(md).toBe(`[a](https://x.io "Title") and [https://y.io](https://y.io "Y")\n`);
+    });
+
+    test("link showing its URL becomes an autolink", () => {
+      expect(adfToMarkdown(parseMarkdown("see https://a.io/x"))).toBe("see <https://a.io/x>\n");
+    });
+  });
+
+  describe("round trip", () => {
+    test("styled jira draft converts back to the same document", () => {
+      const { adf, again } = roundTrip(`:::context
+Forever ago, we set up the initial OpenAI instance for DataSci (MAT-28).
+
+The CMS service will need lots of calls.
+
+:::expand title="Usage numbers"
+- 40k calls a day
+:::
+:::
+
+:::expand title="Raw logs"
+\`\`\`
+ERR quota exceeded
+\`\`\`
+:::
+
+## What We Have Today
+
+- Single instance shared by **all** workloads
+- No usage monitoring, see PE-2393
+  - nested detail
+    1. deeper step
+
+## Definition of Done
+
+- [ ] Dashboards exist
+- [x] Quota agreed
+  - [ ] Nested follow-up
+
+## The Work Here
+
+1. Dedicated instance for @john.smith@company.com
+2. Cost monitoring {status:TODO:yellow}
+
+#### Open question
+
+| Item | [Owner](https://x.io/owners) | Cost |
+|------|:-----:|-----:|
+| Quota | \`platform\` | 10 \\| 20 |
+| Tokens |
+
+> Quoted *note* with **bold *and italic*** text
+
+Literal \\*stars\\*, \\[brackets\\], ~~struck~~ and __strong__ snake_case
+
+:::warning
+#### Rollback
+
+1. Revert the release
+2. Page the on-call
+:::
+
+\`\`\`bash
+echo "hello"
+\`\`\`
+
+---
+
+**Before:** one
+**After:** two`);
+      expect(again).toEqual(adf);
+    });
+
+    test("footnotes come back as references and definitions", () => {
+      const source = "Lag doubled.[^lag] Twice[^lag].\n\n[^lag]: Kafka review, https://wiki.example.com/kafka";
+      const { adf, again } = roundTrip(source);
+      const md = adfToMarkdown(parseMarkdown(source));
+
+      expect(md).toBe("Lag doubled.[^1] Twice[^1].\n\n[^1]: Kafka review, <https://wiki.example.com/kafka>\n");
+      expect(again).toEqual(adf);
+    });
+
+    test("superscript digits without a Notes section stay text", () => {
+      const sup = { type: "text", text: "2", marks: [{ type: "subsup", attrs: { type: "sup" } }] };
+      expect(adfToMarkdown(doc({ type: "paragraph", content: [{ type: "text", text: "x" }, sup] }))).toBe("x2\n");
+    });
+
+    test("headings keep issue cards, links, code and emphasis", () => {
+      const { adf, again } = roundTrip("### See PE-1 and [the runbook](https://x.io/rb) for `lag` *now*");
+      const kinds = adf.content[0].content.map((n) => (n.type === "text" ? n.marks.map((m) => m.type).join("+") : n.type));
+
+      expect(kinds).toEqual([
+        "strong+textColor", "inlineCard", "strong+textColor", "link+strong+textColor",
+        "strong+textColor", "code", "strong+textColor", "em+strong+textColor",
+      ]);
+      expect(again).toEqual(adf);
+    });
+  });
+});
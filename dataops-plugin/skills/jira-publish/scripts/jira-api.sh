@@ -213,7 +213,22 @@ read_content() {
             echo -e "${RED}Error: Markdown converter not found: $converter${NC}" >&2
             exit 1
         fi
-        echo "$content" | "$converter"
+        # --validate fails here, with located errors, before anything reaches the API.
+        # --stable-ids makes an unchanged draft convert identically (see cmd_update).
+        # errexit doesn't apply inside $(...) - stop on a failed conversion ourselves
+        local adf
+        adf=$(echo "$content" | "$converter" --validate --stable-ids) || exit 1
+        # Local images are placeholders until uploaded (see the attachments manifest above)
+        if [[ "$adf" == *"__FILE__:"* ]]; then
+            echo -e "${RED}Error: Local images must be uploaded and their media IDs substituted first.${NC}" >&2
+            exit 1
+        fi
+        # @email mentions become account IDs; any email Jira can't find aborts the publish
+        if [[ "$adf" == *"__EMAIL__:"* ]]; then
+            echo "$adf" | "${SCRIPT_DIR}/resolve-mentions.js" --search --strict || exit 1
+        else
+            echo "$adf"
+        fi
     else
         echo "$content"
     fi
@@ -430,6 +445,26 @@ cmd_update() {
     local adf_content
     adf_content=$(read_content "$content_file" "$is_markdown")
 
+    # Skip no-op updates: the description already matches (key order ignored)
+    if [[ -z "$fix_version" ]]; then
+        local current_description
+        current_description=$(api_get "/rest/api/3/issue/${issue_key}?fields=description" | jq -S -c '.fields.description // empty' 2>/dev/null || true)
+        if [[ -n "$current_description" ]] && [[ "$current_description" == "$(echo "$adf_content" | jq -S -c .)" ]]; then
+            echo -e "${GREEN}Description unchanged - skipping update${NC}" >&2
+            jq -n \
+                --arg issue_key "$issue_key" \
+                --arg issue_url "$(normalize_base_url)/browse/${issue_key}" \
+                '{
+                    action: "UPDATE",
+                    status: "unchanged",
+                    issue_key: $issue_key,
+                    issue_url: $issue_url,
+                    message: "Issue description already matches the content - nothing to update"
+                }'
+            return 0
+        fi
+    fi
+
     # Build request body - start with description
     local body
     body=$(jq -n \
@@ -5,221 +5,113 @@
  * Usage:
  *   echo "markdown" | md-to-adf.js
  *   md-to-adf.js < file.md
+ *   md-to-adf.js --validate < file.md   # exit 1 with located errors if the ADF is invalid
+ *   md-to-adf.js --jira-projects PE,ML --jira-links link < file.md
+ *
+ * Options:
+ *   --jira-projects KEYS  Only these projects' issue keys are linked ($JIRA_PROJECTS; default any,
+ *                         which also catches UTF-8, SHA-256, ...)
+ *   --jira-links STYLE    card = inlineCard (default), link = key as linked text ($JIRA_KEY_LINKS)
+ *   --cell-lists          "• a<br>• b" or "- a; - b" in a table cell becomes a bullet list
+ *   --seed N              Deterministic localIds (same input + seed -> same output), for fixtures and diffs
+ *   --stable-ids          localIds from each block's content, so an unchanged draft gives identical ADF
+ *                         ($ADF_STABLE_IDS=1); lets publish steps skip no-op updates
+ *   --theme NAME|FILE     Heading colours, ##! markers, lozenge colour: a built-in theme (jira,
+ *                         confluence) or a JSON file, see lib/adf/theme.js ($ADF_THEME; default jira)
+ *
+ * The markdown shared with confluence-md-to-adf.js is parsed by lib/adf/engine.js;
+ * this file is the Jira profile (H2-H4, mentions, issue keys, context blocks, panels).
  *
  * Style Guide:
  *   :::context        - Context block (table with CONTEXT lozenge)
- *   ## H2             - Bold + Grey (#97a0af)
+ *   :::info ... :::   - Panel (info, note, warning, error, success), full markdown inside;
+ *                       tables, quotes and :::context follow the panel (ADF can't nest them)
+ *   :::expand title="Raw logs" ... :::   - Collapsible section (or <details><summary>)
+ *   ## H2             - Bold + Grey (#97a0af)   (default jira theme)
  *   ### H3            - Bold + Grey (#97a0af)
  *   #### H4           - Bold + Blue (#0747a6)
+ *   ##! H2            - Marker variant, when the theme defines one
  *   {status:TEXT:color} - Status lozenge (colors: neutral, purple, blue, green, yellow, red)
- *   **bold**, *italic*, `code`
+ *   {date:2025-03-01} - Date pill
+ *   :emoji_name:      - Emoji from the Atlassian set (:tada:, :check_mark:); unknown ones stay text
+ *   **bold**, *italic*, ~~strike~~, `code` (CommonMark rules: nesting, _/__, backslash escapes)
  *   ```lang ... ```   - Fenced code block with optional language
- *   - bullet, 1. numbered
- *   | tables |
- *   [link](url), PROJ-123 (auto inline card)
+ *   > quote           - Blockquote; ---, ***, ___ - Horizontal rule
+ *   - bullet, 1. numbered (indent to nest, start number kept)
+ *   - [ ] todo, - [x] done - Task list (checkboxes)
+ *   | tables |        - |:--|:-:|--:| alignment; \| or `a|b` for a literal pipe; <br> in cells
+ *                       {widths=20,50,30 numbered header-column layout=wide} on the line after
+ *   [link](url), <https://...>, bare URLs, PROJ-123 (auto inline card)
+ *   [text][ref], [ref] + "[ref]: url" - Reference links (definition lines are dropped)
+ *   text[^1] + "[^1]: note"           - Footnote: superscript number (linked to the note's URL),
+ *                                       notes listed under a "Notes" heading at the end
+ *   ![alt](https://...) - Image (mediaSingle); ![alt](./shot.png) - local file to upload,
+ *                         listed on stderr as {"attachments": [...]}; {width=50% layout=wide}
  */
 
-const COLORS = {
-  headingGrey: "#97a0af",
-  headingBlue: "#0747a6",
-};
-
-// Generate UUID for status lozenges
-function uuid() {
-  return crypto.randomUUID();
-}
-
-// Parse inline elements (bold, italic, code, links, status, jira keys, mentions)
-function parseInline(text) {
-  const nodes = [];
-  let remaining = text;
-
-  while (remaining.length > 0) {
-    // Mention: @email@domain.com (email format)
-    // Outputs placeholder with email in id field - must be resolved before publish
-    const mentionMatch = remaining.match(/^@([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
-    if (mentionMatch) {
-      const email = mentionMatch[1];
-      nodes.push({
-        type: "mention",
-        attrs: {
-          id: `__EMAIL__:${email}`,  // placeholder - publish skill must resolve
-          text: `@${email}`,
-          accessLevel: "",
-        },
-      });
-      remaining = remaining.slice(mentionMatch[0].length);
-      continue;
-    }
-
-    // Status lozenge: {status:TEXT:color}
-    const statusMatch = remaining.match(/^\{status:([^:}]+):(\w+)\}/);
-    if (statusMatch) {
-      nodes.push({
-        type: "status",
-        attrs: {
-          text: statusMatch[1],
-          color: statusMatch[2],
-          localId: uuid(),
-          style: "",
-        },
-      });
-      remaining = remaining.slice(statusMatch[0].length);
-      continue;
-    }
-
-    // Bold: **text**
-    const boldMatch = remaining.match(/^\*\*([^*]+)\*\*/);
-    if (boldMatch) {
-      nodes.push({
-        type: "text",
-        text: boldMatch[1],
-        marks: [{ type: "strong" }],
-      });
-      remaining = remaining.slice(boldMatch[0].length);
-      continue;
-    }
-
-    // Italic: *text*
-    const italicMatch = remaining.match(/^\*([^*]+)\*/);
-    if (italicMatch) {
-      nodes.push({
-        type: "text",
-        text: italicMatch[1],
-        marks: [{ type: "em" }],
-      });
-      remaining = remaining.slice(italicMatch[0].length);
-      continue;
-    }
-
-    // Code: `text`
-    const codeMatch = remaining.match(/^`([^`]+)`/);
-    if (codeMatch) {
-      nodes.push({
-        type: "text",
-        text: codeMatch[1],
-        marks: [{ type: "code" }],
-      });
-      remaining = remaining.slice(codeMatch[0].length);
-      continue;
-    }
-
-    // Link: [text](url)
-    const linkMatch = remaining.match(/^\[([^\]]+)\]\(([^)]+)\)/);
-    if (linkMatch) {
-      nodes.push({
-        type: "text",
-        text: linkMatch[1],
-        marks: [{ type: "link", attrs: { href: linkMatch[2] } }],
-      });
-      remaining = remaining.slice(linkMatch[0].length);
-      continue;
-    }
-
-    // Jira issue key: PROJ-123 (but not inside words)
-    const jiraMatch = remaining.match(/^([A-Z][A-Z0-9]+-\d+)/);
-    if (jiraMatch) {
-      const baseUrl = process.env.ATLASSIAN_BASE_URL || "https://atlassian.net";
-      nodes.push({
-        type: "inlineCard",
-        attrs: {
-          url: `${baseUrl.replace(/\/$/, "")}/browse/${jiraMatch[1]}`,
-        },
-      });
-      remaining = remaining.slice(jiraMatch[0].length);
-      continue;
-    }
-
-    // Plain text - consume until next special char (including @)
-    const plainMatch = remaining.match(/^[^*`\[{A-Z@]+|^[A-Z](?![A-Z0-9]+-\d)|^@(?![a-zA-Z0-9._%+-]+@)/);
-    if (plainMatch) {
-      nodes.push({ type: "text", text: plainMatch[0] });
-      remaining = remaining.slice(plainMatch[0].length);
-      continue;
-    }
-
-    // Fallback - consume one char
-    nodes.push({ type: "text", text: remaining[0] });
-    remaining = remaining.slice(1);
+import { parseArgs } from "node:util";
+import {
+  statusExtension,
+  dateExtension,
+  emojiExtension,
+  mentionExtension,
+  jiraKeyExtension,
+  parseProjectList,
+} from "../../../lib/adf/inline.js";
+import { collectAttachments } from "../../../lib/adf/media.js";
+import { validateAdf, PANEL_BLOCKS } from "../../../lib/adf/validate.js";
+import { idGenerator } from "../../../lib/adf/ids.js";
+import { loadTheme } from "../../../lib/adf/theme.js";
+import { createConverter, stripFrontmatter } from "../../../lib/adf/engine.js";
+
+// Jira inline syntax on top of the shared markdown inline parser.
+// jiraProjects/jiraLinks/baseUrl come from parseMarkdown() options.
+function inlineExtensions({
+  jiraProjects = null,
+  jiraLinks = "card",
+  baseUrl = process.env.ATLASSIAN_BASE_URL || "https://atlassian.net",
+} = {}, { uuid }) {
+  if (jiraLinks !== "card" && jiraLinks !== "link") {
+    throw new Error(`Invalid Jira key link style "${jiraLinks}" (expected card or link)`);
   }
-
-  // Merge adjacent text nodes without marks
-  const merged = [];
-  for (const node of nodes) {
-    const last = merged[merged.length - 1];
-    if (
-      last &&
-      last.type === "text" &&
-      node.type === "text" &&
-      !last.marks &&
-      !node.marks
-    ) {
-      last.text += node.text;
-    } else {
-      merged.push(node);
-    }
-  }
-
-  return merged;
-}
-
-// Create a paragraph node from a single line or array of lines
-// When given an array, inserts hardBreak nodes between lines
-function paragraph(textOrLines) {
-  // Handle array of lines - insert hardBreaks between them
-  if (Array.isArray(textOrLines)) {
-    const lines = textOrLines.filter(line => line.trim() !== "");
-    if (lines.length === 0) {
-      return { type: "paragraph" };
-    }
-    if (lines.length === 1) {
-      return paragraph(lines[0]);
-    }
-    // Multiple lines - join with hardBreak nodes
-    const content = [];
-    for (let i = 0; i < lines.length; i++) {
-      content.push(...parseInline(lines[i]));
-      if (i < lines.length - 1) {
-        content.push({ type: "hardBreak" });
-      }
-    }
-    return {
-      type: "paragraph",
-      content: content,
-    };
-  }
-
-  // Single text string
-  if (!textOrLines || textOrLines.trim() === "") {
-    return { type: "paragraph" };
-  }
-  return {
-    type: "paragraph",
-    content: parseInline(textOrLines),
-  };
-}
-
-// Create a heading node with style
-function heading(level, text) {
-  const color = level === 4 ? COLORS.headingBlue : COLORS.headingGrey;
-  return {
-    type: "heading",
-    attrs: { level },
-    content: [
-      {
-        type: "text",
-        text: text,
-        marks: [
-          { type: "strong" },
-          { type: "textColor", attrs: { color } },
-        ],
-      },
-    ],
-  };
+  return [
+    mentionExtension(), // placeholder id - publish skill must resolve
+    statusExtension({ newId: uuid }),
+    dateExtension(),
+    emojiExtension(),
+    jiraKeyExtension({
+      baseUrl,
+      projects: jiraProjects,
+      mode: jiraLinks,
+    }),
+  ];
 }
 
-// Create context block (single-cell table with CONTEXT lozenge)
-function contextBlock(paragraphs, color = "purple") {
+// Jira profile: H2-H4, no block localIds, tables aligned left,
+// :::context and panels on top of the shared markdown
+const converter = createConverter({
+  theme: "jira",
+  headingLevels: [2, 4],
+  tableLayout: "align-start",
+  frontmatter: true,
+  inline: inlineExtensions,
+  blocks: [contextRule, panelRule],
+});
+const {
+  parseMarkdown,
+  parseInline,
+  parseBlocks,
+  paragraph,
+  parseExpand,
+  nestExpand,
+  collectDirectiveBlock,
+  uuid,
+  currentTheme,
+} = converter;
+
+// Create context block (single-cell table with CONTEXT lozenge).
+// parts are paragraph strings or ready-made block nodes.
+function contextBlock(parts, color = currentTheme().lozenge) {
   const content = [
     {
       type: "paragraph",
@@ -236,7 +128,7 @@ function contextBlock(paragraphs, color = "purple") {
         { type: "text", text: " " },
       ],
     },
-    ...paragraphs.map((p) => paragraph(p)),
+    ...parts.map((p) => (typeof p === "string" ? paragraph(p) : p)),
   ];
 
   return {
@@ -261,269 +153,103 @@ function contextBlock(paragraphs, color = "purple") {
   };
 }
 
-// Parse table from markdown lines
-function parseTable(lines) {
-  // lines[0] = header row, lines[1] = separator, lines[2+] = data rows
-  const parseRow = (line) =>
-    line
-      .split("|")
-      .slice(1, -1)
-      .map((cell) => cell.trim());
-
-  const headers = parseRow(lines[0]);
-  const rows = lines.slice(2).map(parseRow);
-
-  const tableContent = [];
-
-  // Header row
-  tableContent.push({
-    type: "tableRow",
-    content: headers.map((h) => ({
-      type: "tableHeader",
-      attrs: {},
-      content: [
-        {
-          type: "paragraph",
-          content: [{ type: "text", text: h, marks: [{ type: "strong" }] }],
-        },
-      ],
-    })),
-  });
-
-  // Data rows
-  for (const row of rows) {
-    tableContent.push({
-      type: "tableRow",
-      content: row.map((cell) => ({
-        type: "tableCell",
-        attrs: {},
-        content: [paragraph(cell)],
-      })),
-    });
-  }
-
-  return {
-    type: "table",
-    attrs: {
-      isNumberColumnEnabled: false,
-      layout: "align-start",
-      localId: uuid(),
-    },
-    content: tableContent,
+// Context block: :::context ... :::
+function contextRule(lines, i) {
+  if (lines[i].trim() !== ":::context") return null;
+  const { inner, next } = collectDirectiveBlock(lines, i);
+  // Text becomes paragraphs; expand sections become nestedExpand in the cell
+  const parts = [];
+  let textLines = [];
+  const flushText = () => {
+    const paragraphs = textLines
+      .join("\n")
+      .split("\n\n")
+      .map((p) => p.replace(/\n/g, " ").trim())  // collapse single newlines to spaces
+      .filter((p) => p);
+    parts.push(...paragraphs);
+    textLines = [];
   };
-}
-
-// Parse list items
-function parseList(lines, ordered = false) {
-  const items = [];
-  let currentItem = null;
-  // Allow optional leading whitespace for list items
-  const itemPattern = ordered ? /^\s*\d+\.\s+(.*)$/ : /^\s*[-*]\s+(.*)$/;
-
-  for (const line of lines) {
-    const match = line.match(itemPattern);
-    if (match) {
-      if (currentItem) items.push(currentItem);
-      currentItem = [match[1]];
-    } else if (currentItem && line.match(/^\s+/)) {
-      // Continuation of current item
-      currentItem.push(line.trim());
+  for (let j = 0; j < inner.length;) {
+    const section = parseExpand(inner, j);
+    if (section) {
+      flushText();
+      parts.push(...nestExpand(section.node));
+      j = section.next;
+    } else {
+      textLines.push(inner[j]);
+      j++;
     }
   }
-  if (currentItem) items.push(currentItem);
-
-  const listNode = {
-    type: ordered ? "orderedList" : "bulletList",
-    content: items.map((item) => ({
-      type: "listItem",
-      content: [paragraph(item.join(" "))],  // join continuation lines with space
-    })),
-  };
-
-  if (ordered) {
-    listNode.attrs = { order: 1 };
-  }
-
-  return listNode;
+  flushText();
+  return { nodes: [contextBlock(parts)], next };
 }
 
-// Strip YAML frontmatter if present
-function stripFrontmatter(markdown) {
-  const lines = markdown.split("\n");
-
-  // Check if first line is --- (frontmatter delimiter)
-  if (lines[0]?.trim() === "---") {
-    // Find the closing ---
-    for (let i = 1; i < lines.length; i++) {
-      if (lines[i].trim() === "---") {
-        // Return everything after the closing ---
-        return lines.slice(i + 1).join("\n");
-      }
-    }
-  }
-
-  return markdown;
+// Panel opener: :::info, :::note, :::warning, :::error, :::success
+const PANEL_OPEN = /^:::(info|note|warning|error|success)$/;
+
+// Panel: :::info ... ::: with full markdown inside. Blocks a panel can't hold
+// (tables, quotes, expands, :::context) follow the panel, in order.
+function panelRule(lines, i) {
+  const panelMatch = lines[i].trim().match(PANEL_OPEN);
+  if (!panelMatch) return null;
+  const { inner, next } = collectDirectiveBlock(lines, i);
+  const blocks = parseBlocks(inner);
+  const panelContent = blocks.filter((node) => PANEL_BLOCKS.includes(node.type));
+  const panel = {
+    type: "panel",
+    attrs: { panelType: panelMatch[1] },
+    content: panelContent.length > 0 ? panelContent : [paragraph("")],
+  };
+  return { nodes: [panel, ...blocks.filter((node) => !PANEL_BLOCKS.includes(node.type))], next };
 }
 
-// Main parser
-function parseMarkdown(markdown) {
-  // Strip frontmatter before parsing
-  markdown = stripFrontmatter(markdown);
-
-  // Warn if content is empty after stripping frontmatter
-  if (!markdown.trim()) {
-    console.error(
-      "Warning: No content after stripping frontmatter. The document body is empty.",
-    );
-  }
-
-  const lines = markdown.split("\n");
-  const content = [];
-  let i = 0;
-
-  while (i < lines.length) {
-    const line = lines[i];
-
-    // Fenced code block: ```lang ... ```
-    const codeBlockMatch = line.match(/^```(\w*)$/);
-    if (codeBlockMatch) {
-      const language = codeBlockMatch[1] || null;
-      const codeLines = [];
-      i++;
-      while (i < lines.length && !lines[i].match(/^```$/)) {
-        codeLines.push(lines[i]);
-        i++;
-      }
-      i++; // skip closing ```
-      const codeBlock = {
-        type: "codeBlock",
-        content: [{ type: "text", text: codeLines.join("\n") }],
-      };
-      if (language) {
-        codeBlock.attrs = { language };
-      }
-      content.push(codeBlock);
-      continue;
-    }
-
-    // Context block: :::context ... :::
-    if (line.trim() === ":::context") {
-      const contextLines = [];
-      i++;
-      while (i < lines.length && lines[i].trim() !== ":::") {
-        contextLines.push(lines[i]);
-        i++;
-      }
-      i++; // skip closing :::
-      const paragraphs = contextLines
-        .join("\n")
-        .split("\n\n")
-        .map((p) => p.replace(/\n/g, " ").trim())  // collapse single newlines to spaces
-        .filter((p) => p);
-      content.push(contextBlock(paragraphs));
-      continue;
-    }
-
-    // Heading: ## H2, ### H3, #### H4
-    const headingMatch = line.match(/^(#{2,4})\s+(.+)$/);
-    if (headingMatch) {
-      const level = headingMatch[1].length;
-      content.push(heading(level, headingMatch[2]));
-      i++;
-      continue;
-    }
-
-    // Table: | header |
-    if (line.match(/^\|.*\|$/)) {
-      const tableLines = [];
-      while (i < lines.length && lines[i].match(/^\|.*\|$/)) {
-        tableLines.push(lines[i]);
-        i++;
-      }
-      if (tableLines.length >= 2) {
-        content.push(parseTable(tableLines));
-      }
-      continue;
-    }
-
-    // Bullet list: - item or * item (with optional leading whitespace)
-    if (line.match(/^\s*[-*]\s+/)) {
-      const listLines = [];
-      while (i < lines.length && (lines[i].match(/^\s*[-*]\s+/) || lines[i].match(/^\s+\S/))) {
-        listLines.push(lines[i]);
-        i++;
-      }
-      content.push(parseList(listLines, false));
-      continue;
-    }
+// Export for testing and for adf-to-md.js round-trip checks
+export { parseMarkdown, parseInline, stripFrontmatter };
 
-    // Numbered list: 1. item (with optional leading whitespace)
-    if (line.match(/^\s*\d+\.\s+/)) {
-      const listLines = [];
-      while (i < lines.length && (lines[i].match(/^\s*\d+\.\s+/) || lines[i].match(/^\s+\S/))) {
-        listLines.push(lines[i]);
-        i++;
-      }
-      content.push(parseList(listLines, true));
-      continue;
-    }
-
-    // Horizontal rule: ---, ***, ___
-    if (line.match(/^(-{3,}|\*{3,}|_{3,})$/)) {
-      content.push({ type: "rule" });
-      i++;
-      continue;
-    }
-
-    // Blockquote: > text
-    if (line.match(/^>\s?/)) {
-      const quoteLines = [];
-      while (i < lines.length && lines[i].match(/^>\s?/)) {
-        // Remove the > prefix and optional space
-        quoteLines.push(lines[i].replace(/^>\s?/, ""));
-        i++;
-      }
-      // Parse the blockquote content recursively to support nested formatting
-      const quoteContent = parseMarkdown(quoteLines.join("\n")).content;
-      content.push({
-        type: "blockquote",
-        content: quoteContent.length > 0 ? quoteContent : [{ type: "paragraph" }],
-      });
-      continue;
-    }
+// Main
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      validate: { type: "boolean", default: false },
+      "jira-projects": { type: "string" },
+      "jira-links": { type: "string" },
+      "cell-lists": { type: "boolean", default: false },
+      seed: { type: "string" },
+      "stable-ids": { type: "boolean", default: false },
+      theme: { type: "string" },
+    },
+  });
 
-    // Empty line
-    if (line.trim() === "") {
-      i++;
-      continue;
-    }
+  const input = await Bun.stdin.text();
+  const adf = parseMarkdown(input, {
+    jiraProjects: parseProjectList(values["jira-projects"] ?? process.env.JIRA_PROJECTS),
+    jiraLinks: values["jira-links"] ?? process.env.JIRA_KEY_LINKS ?? "card",
+    cellLists: values["cell-lists"],
+    newId: idGenerator({ seed: values.seed, stable: values["stable-ids"] }),
+    theme: loadTheme(values.theme ?? process.env.ADF_THEME, "jira"),
+  });
 
-    // Regular paragraph
-    const paraLines = [];
-    while (i < lines.length && lines[i].trim() !== "" && !lines[i].match(/^#{2,4}\s/) && !lines[i].match(/^\|/) && !lines[i].match(/^\s*[-*]\s+/) && !lines[i].match(/^\s*\d+\.\s+/) && !lines[i].match(/^:::/) && !lines[i].match(/^(-{3,}|\*{3,}|_{3,})$/) && !lines[i].match(/^>\s/) && !lines[i].match(/^```/)) {
-      paraLines.push(lines[i]);
-      i++;
-    }
-    if (paraLines.length > 0) {
-      content.push(paragraph(paraLines));  // Pass array to insert hardBreaks
+  if (values.validate) {
+    const result = validateAdf(adf);
+    if (!result.valid) {
+      console.error(JSON.stringify(result, null, 2));
+      process.exit(1);
     }
   }
 
-  return {
-    version: 1,
-    type: "doc",
-    content: content,
-  };
-}
+  // Local images need uploading - a publish step reads this manifest
+  const attachments = collectAttachments(adf);
+  if (attachments.length > 0) {
+    console.error(JSON.stringify({ attachments }));
+  }
 
-// Main
-async function main() {
-  const input = await Bun.stdin.text();
-  const adf = parseMarkdown(input);
   console.log(JSON.stringify(adf));
 }
 
-main().catch((err) => {
-  console.error("Error:", err.message);
-  process.exit(1);
-});
+// Only run main() when executed directly (not when imported)
+if (import.meta.main) {
+  main().catch((err) => {
+    console.error("Error:", err.message);
+    process.exit(1);
+  });
+}
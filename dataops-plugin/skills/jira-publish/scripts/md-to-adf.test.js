@@ -14,6 +14,11 @@ async function convert(markdown) {
   return JSON.parse(result);
 }
 
+async function convertValidated(markdown) {
+  const result = await $`echo ${markdown} | ${SCRIPT} --validate`.nothrow().quiet();
+  return { exitCode: result.exitCode, stdout: result.stdout.toString(), stderr: result.stderr.toString() };
+}
+
 describe("md-to-adf", () => {
   describe("bullet lists", () => {
     test("basic bullet list", async () => {
@@ -83,6 +88,160 @@ describe("md-to-adf", () => {
     });
   });
 
+  describe("nested lists", () => {
+    test("indented bullets nest inside parent item", async () => {
+      const md = `- parent
+  - child one
+  - child two
+- sibling`;
+      const adf = await convert(md);
+
+      const list = adf.content[0];
+      expect(list.content).toHaveLength(2);
+      const parent = list.content[0];
+      expect(parent.content[0].content[0].text).toBe("parent");
+      expect(parent.content[1].type).toBe("bulletList");
+      expect(parent.content[1].content).toHaveLength(2);
+    });
+
+    test("ordered list inside bullet and bullet inside ordered", async () => {
+      const md = `- bullet
+   1. first
+   2. second
+      - deep bullet`;
+      const adf = await convert(md);
+
+      const ordered = adf.content[0].content[0].content[1];
+      expect(ordered.type).toBe("orderedList");
+      expect(ordered.content).toHaveLength(2);
+      expect(ordered.content[1].content[1].type).toBe("bulletList");
+    });
+
+    test("ordered list keeps start number", async () => {
+      const md = `3. third
+4. fourth`;
+      const adf = await convert(md);
+
+      expect(adf.content[0].attrs.order).toBe(3);
+    });
+
+    test("continuation lines still join with a space", async () => {
+      const md = `- first line
+  continues here`;
+      const adf = await convert(md);
+
+      const para = adf.content[0].content[0].content[0];
+      expect(para.content[0].text).toBe("first line continues here");
+    });
+
+    test("multiple paragraphs and code block inside an item", async () => {
+      const md = `- item
+
+  second paragraph
+  \`\`\`bash
+  echo hi
+  \`\`\`
+- next`;
+      const adf = await convert(md);
+
+      const item = adf.content[0].content[0];
+      expect(item.content.map(n => n.type)).toEqual(["paragraph", "paragraph", "codeBlock"]);
+      expect(item.content[2].content[0].text).toBe("echo hi");
+      expect(adf.content[0].content).toHaveLength(2);
+    });
+
+    test("blank line between lists ends the list", async () => {
+      const md = `- one
+
+- two`;
+      const adf = await convert(md);
+
+      expect(adf.content).toHaveLength(2);
+    });
+  });
+
+  describe("task lists", () => {
+    test("checkbox bullets become a taskList", async () => {
+      const md = `- [ ] do X
+- [x] done Y`;
+      const adf = await convert(md);
+
+      const list = adf.content[0];
+      expect(list.type).toBe("taskList");
+      expect(list.attrs.localId).toBeTruthy();
+      expect(list.content.map(n => n.attrs.state)).toEqual(["TODO", "DONE"]);
+      expect(list.content[0].type).toBe("taskItem");
+      expect(list.content[0].attrs.localId).toBeTruthy();
+      expect(list.content[0].content[0].text).toBe("do X");
+    });
+
+    test("uppercase X is done", async () => {
+      const adf = await convert(`- [X] shipped`);
+
+      expect(adf.content[0].content[0].attrs.state).toBe("DONE");
+    });
+
+    test("nested checklist nests as taskList child", async () => {
+      const md = `- [ ] parent
+  - [x] child
+- [ ] sibling`;
+      const adf = await convert(md);
+
+      const list = adf.content[0];
+      expect(list.content.map(n => n.type)).toEqual(["taskItem", "taskList", "taskItem"]);
+      expect(list.content[1].content[0].attrs.state).toBe("DONE");
+    });
+
+    test("checklist nested under a bullet", async () => {
+      const md = `- Release
+  - [ ] tag
+  - [ ] notes`;
+      const adf = await convert(md);
+
+      const item = adf.content[0].content[0];
+      expect(item.content[1].type).toBe("taskList");
+      expect(item.content[1].content).toHaveLength(2);
+    });
+
+    test("blocks under a task item keep their place", async () => {
+      const result = await convertValidated(`- [ ] first
+
+  Note about first.
+
+  \`\`\`
+  make check
+  \`\`\`
+- [x] second`);
+
+      expect(result.exitCode).toBe(0);
+      const content = JSON.parse(result.stdout).content;
+      expect(content.map(n => n.type)).toEqual(["taskList", "paragraph", "codeBlock", "taskList"]);
+      expect(content[3].content[0].content[0].text).toBe("second");
+    });
+
+    test("tasks and bullets mixed under a task item", async () => {
+      const result = await convertValidated(`- [ ] release
+  - [x] tag
+  - announce in #data-platform
+- [ ] retro`);
+
+      expect(result.exitCode).toBe(0);
+      const content = JSON.parse(result.stdout).content;
+      expect(content.map(n => n.type)).toEqual(["taskList", "bulletList", "taskList"]);
+      expect(content[0].content.map(n => n.type)).toEqual(["taskItem", "taskList"]);
+      expect(content[0].content[1].content[0]).toMatchObject({ attrs: { state: "DONE" }, content: [{ text: "tag" }] });
+      expect(content[2].content[0].content[0].text).toBe("retro");
+    });
+
+    test("mixed bullets stay a bullet list", async () => {
+      const md = `- [ ] task
+- plain item`;
+      const adf = await convert(md);
+
+      expect(adf.content[0].type).toBe("bulletList");
+    });
+  });
+
   describe("lists with context", () => {
     test("list after heading", async () => {
       const md = `## Section
@@ -176,6 +335,191 @@ Some text after`;
       expect(linkNode.text).toBe("this link");
       expect(linkNode.marks[0].attrs.href).toBe("http://example.com");
     });
+
+    test("italic inside bold", async () => {
+      const md = `**bold with *italic* inside**`;
+      const adf = await convert(md);
+
+      const content = adf.content[0].content;
+      expect(content).toHaveLength(3);
+      expect(content[1].text).toBe("italic");
+      expect(content[1].marks.map(m => m.type)).toEqual(["strong", "em"]);
+    });
+
+    test("underscore emphasis and strike", async () => {
+      const md = `_em_ __strong__ ~~struck~~ snake_case`;
+      const adf = await convert(md);
+
+      const content = adf.content[0].content;
+      expect(content.find(n => n.marks?.[0]?.type === "em").text).toBe("em");
+      expect(content.find(n => n.marks?.[0]?.type === "strong").text).toBe("strong");
+      expect(content.find(n => n.marks?.[0]?.type === "strike").text).toBe("struck");
+      expect(content[content.length - 1].text).toBe(" snake_case");
+    });
+
+    test("backslash escapes", async () => {
+      const md = String.raw`\*not italic\* and \[not a link\](x)`;
+      const adf = await convert(md);
+
+      expect(adf.content[0].content).toEqual([{ type: "text", text: "*not italic* and [not a link](x)" }]);
+    });
+
+    test("code keeps asterisks", async () => {
+      const md = "Run `SELECT * FROM t WHERE x*2 > 1` now";
+      const adf = await convert(md);
+
+      const codeNode = adf.content[0].content.find(n => n.marks?.[0]?.type === "code");
+      expect(codeNode.text).toBe("SELECT * FROM t WHERE x*2 > 1");
+    });
+
+    test("autolinks and bare URLs", async () => {
+      const md = `See <https://a.io/x> and https://b.io/y.`;
+      const adf = await convert(md);
+
+      const links = adf.content[0].content.filter(n => n.marks?.[0]?.type === "link");
+      expect(links.map(n => n.marks[0].attrs.href)).toEqual(["https://a.io/x", "https://b.io/y"]);
+    });
+
+    test("date pills and emoji", async () => {
+      const adf = await convert(`Ships {date:2025-03-01} :rocket: (10:30:45 :unknown:)`);
+
+      expect(adf.content[0].content).toEqual([
+        { type: "text", text: "Ships " },
+        { type: "date", attrs: { timestamp: "1740787200000" } },
+        { type: "text", text: " " },
+        { type: "emoji", attrs: { shortName: ":rocket:", id: "1f680", text: "🚀" } },
+        { type: "text", text: " (10:30:45 :unknown:)" },
+      ]);
+    });
+
+    test("issue key in link text stays link text", async () => {
+      const md = `[PE-1234](https://example.atlassian.net/browse/PE-1234)`;
+      const adf = await convert(md);
+
+      expect(adf.content[0].content[0].type).toBe("text");
+      expect(adf.content[0].content[0].text).toBe("PE-1234");
+    });
+  });
+
+  describe("tables", () => {
+    test("header cells keep inline markup in bold", async () => {
+      const md = `| Owner | [Runbook](https://x.io) | \`cfg\` |
+|---|---|---|
+| a | b | c |`;
+      const adf = await convert(md);
+
+      const [owner, runbook, code] = adf.content[0].content[0].content.map(c => c.content[0].content[0]);
+      expect(owner).toEqual({ type: "text", text: "Owner", marks: [{ type: "strong" }] });
+      expect(runbook.marks.map(m => m.type)).toEqual(["strong", "link"]);
+      expect(code).toEqual({ type: "text", text: "cfg", marks: [{ type: "code" }] });
+    });
+
+    test("alignment markers become paragraph alignment marks", async () => {
+      const md = `| L | C | R |
+|:--|:-:|--:|
+| 1 | 2 | 3 |`;
+      const adf = await convert(md);
+
+      const row = adf.content[0].content[1].content;
+      expect(row[0].content[0].marks).toBeUndefined();
+      expect(row[1].content[0].marks).toEqual([{ type: "alignment", attrs: { align: "center" } }]);
+      expect(row[2].content[0].marks).toEqual([{ type: "alignment", attrs: { align: "end" } }]);
+    });
+
+    test("escaped and code-span pipes stay in their cell", async () => {
+      const md = `| A | B |
+|---|---|
+| x \\| y | \`a|b\` |`;
+      const adf = await convert(md);
+
+      const row = adf.content[0].content[1].content;
+      expect(row).toHaveLength(2);
+      expect(row[0].content[0].content[0].text).toBe("x | y");
+      expect(row[1].content[0].content[0].text).toBe("a|b");
+    });
+
+    test("<br> in a cell is a hardBreak", async () => {
+      const md = `| Notes |
+|---|
+| first<br>second |`;
+      const adf = await convert(md);
+
+      expect(adf.content[0].content[1].content[0].content[0].content).toEqual([
+        { type: "text", text: "first" },
+        { type: "hardBreak" },
+        { type: "text", text: "second" },
+      ]);
+    });
+
+    test("--cell-lists turns cell bullets into a bulletList", async () => {
+      const md = `| Status |
+|---|
+| Shipped:<br>• api<br>• ui |`;
+      const result = await $`echo ${md} | ${SCRIPT} --cell-lists --validate`.quiet();
+
+      const cell = JSON.parse(result.stdout.toString()).content[0].content[1].content[0];
+      expect(cell.content.map(b => b.type)).toEqual(["paragraph", "bulletList"]);
+      expect(cell.content[1].content.map(item => item.content[0].content[0].text)).toEqual(["api", "ui"]);
+    });
+
+    test("cell bullets stay text without --cell-lists", async () => {
+      const md = `| Status |
+|---|
+| - a; - b |`;
+      const adf = await convert(md);
+
+      expect(adf.content[0].content[1].content[0].content[0].content[0].text).toBe("- a; - b");
+    });
+
+    test("attribute line sets widths, numbering, header column and layout", async () => {
+      const md = `| Key | Summary |
+|---|---|
+| A-1 | First |
+{widths=25,75 numbered header-column layout=wide}
+
+After`;
+      const adf = await convert(md);
+      const [table, after] = adf.content;
+
+      expect(table.attrs).toMatchObject({ isNumberColumnEnabled: true, layout: "wide" });
+      expect(table.content[0].content.map(c => c.attrs.colwidth)).toEqual([[240], [720]]);
+      expect(table.content[1].content.map(c => c.type)).toEqual(["tableHeader", "tableCell"]);
+      expect(table.content[1].content[0].content[0].content[0].marks).toEqual([{ type: "strong" }]);
+      expect(after.content[0].text).toBe("After");
+    });
+
+    test("a lozenge line after a table stays a paragraph", async () => {
+      const result = await convertValidated(`| a | b |
+|---|---|
+| 1 | 2 |
+{status:DONE:green}`);
+
+      expect(result.exitCode).toBe(0);
+      const [table, after] = JSON.parse(result.stdout).content;
+      expect(table.attrs.layout).toBe("align-start");
+      expect(after.content[0]).toMatchObject({ type: "status", attrs: { text: "DONE", color: "green" } });
+    });
+
+    test("tables without an attribute line keep the defaults", async () => {
+      const adf = await convert(`| A |
+|---|
+| 1 |`);
+
+      expect(adf.content[0].attrs).toMatchObject({ isNumberColumnEnabled: false, layout: "align-start" });
+      expect(adf.content[0].content[1].content[0].attrs).toEqual({});
+    });
+
+    test("ragged rows match the header width", async () => {
+      const md = `| A | B |
+|---|---|
+| 1 |
+| 1 | 2 | 3 |`;
+      const result = await convertValidated(md);
+
+      expect(result.exitCode).toBe(0);
+      const rows = JSON.parse(result.stdout).content[0].content;
+      expect(rows.map(r => r.content.length)).toEqual([2, 2, 2]);
+    });
   });
 
   describe("context blocks", () => {
@@ -193,6 +537,170 @@ This is context information.
     });
   });
 
+  describe("panels", () => {
+    for (const panelType of ["info", "note", "warning", "error", "success"]) {
+      test(`:::${panelType} emits a ${panelType} panel`, async () => {
+        const adf = await convert(`:::${panelType}
+Heads up.
+:::`);
+
+        expect(adf.content[0].type).toBe("panel");
+        expect(adf.content[0].attrs.panelType).toBe(panelType);
+        expect(adf.content[0].content[0].content[0].text).toBe("Heads up.");
+      });
+    }
+
+    test("parses nested markdown inside the panel", async () => {
+      const md = `:::warning
+#### Rollback
+
+- revert the deploy
+- page on-call
+
+\`\`\`bash
+kubectl rollout undo deploy/api
+\`\`\`
+:::
+
+After the panel.`;
+      const adf = await convert(md);
+
+      const panel = adf.content[0];
+      expect(panel.content.map(n => n.type)).toEqual(["heading", "bulletList", "codeBlock"]);
+      expect(adf.content[1].type).toBe("paragraph");
+    });
+
+    test("::: inside a code block does not close the panel", async () => {
+      const md = `:::info
+\`\`\`
+:::
+\`\`\`
+:::`;
+      const adf = await convert(md);
+
+      expect(adf.content).toHaveLength(1);
+      expect(adf.content[0].content[0].content[0].text).toBe(":::");
+    });
+
+    test("tables, quotes and context blocks follow the panel", async () => {
+      const result = await convertValidated(`:::warning
+Before
+> quoted
+| a |
+|---|
+| 1 |
+:::context
+Background
+:::
+After
+:::`);
+
+      expect(result.exitCode).toBe(0);
+      const content = JSON.parse(result.stdout).content;
+      expect(content.map(n => n.type)).toEqual(["panel", "blockquote", "table", "table"]);
+      expect(content[0].content.map(n => n.content[0].text)).toEqual(["Before", "After"]);
+    });
+
+    test("empty panel gets an empty paragraph", async () => {
+      const adf = await convert(`:::note
+:::`);
+
+      expect(adf.content[0].content).toEqual([{ type: "paragraph" }]);
+    });
+  });
+
+  describe("expand sections", () => {
+    test(":::expand with title emits expand node", async () => {
+      const md = `:::expand title="Raw logs"
+\`\`\`
+ERR timeout
+\`\`\`
+:::`;
+      const adf = await convert(md);
+
+      expect(adf.content[0].type).toBe("expand");
+      expect(adf.content[0].attrs.title).toBe("Raw logs");
+      expect(adf.content[0].content[0].type).toBe("codeBlock");
+    });
+
+    test("<details><summary> emits expand node", async () => {
+      const md = `<details>
+<summary>Release notes</summary>
+
+- fixed a bug
+</details>
+
+After.`;
+      const adf = await convert(md);
+
+      expect(adf.content[0].type).toBe("expand");
+      expect(adf.content[0].attrs.title).toBe("Release notes");
+      expect(adf.content[0].content[0].type).toBe("bulletList");
+      expect(adf.content[1].type).toBe("paragraph");
+    });
+
+    test("expand inside expand becomes nestedExpand", async () => {
+      const md = `:::expand title="Outer"
+<details><summary>Inner</summary>
+text
+</details>
+:::`;
+      const adf = await convert(md);
+
+      expect(adf.content[0].content[0].type).toBe("nestedExpand");
+      expect(adf.content[0].content[0].attrs.title).toBe("Inner");
+    });
+
+    test("expand inside a panel follows the panel", async () => {
+      const result = await convertValidated(`:::info
+Summary
+:::expand title="Details"
+More detail.
+:::
+:::`);
+
+      expect(result.exitCode).toBe(0);
+      expect(JSON.parse(result.stdout).content.map(n => n.type)).toEqual(["panel", "expand"]);
+    });
+
+    test("expands nested deeper than one level follow their parent", async () => {
+      const result = await convertValidated(`:::expand title="A"
+:::expand title="B"
+Middle
+| a |
+|---|
+| 1 |
+:::expand title="C"
+Inner
+:::
+:::
+:::`);
+
+      expect(result.exitCode).toBe(0);
+      const outer = JSON.parse(result.stdout).content[0];
+      expect(outer.content.map(n => `${n.type} ${n.attrs?.title ?? ""}`.trim())).toEqual([
+        "nestedExpand B",
+        "table",
+        "nestedExpand C",
+      ]);
+    });
+
+    test("expand inside context cell becomes nestedExpand", async () => {
+      const md = `:::context
+Background.
+
+:::expand title="Details"
+More detail.
+:::
+:::`;
+      const adf = await convert(md);
+
+      const cell = adf.content[0].content[0].content[0];
+      expect(cell.content.map(n => n.type)).toEqual(["paragraph", "paragraph", "nestedExpand"]);
+      expect(adf.content).toHaveLength(1);
+    });
+  });
+
   describe("blockquotes", () => {
     test("basic blockquote", async () => {
       const md = `> This is a quote`;
@@ -333,6 +841,13 @@ Second paragraph`;
       expect(adf.content[1].type).toBe("paragraph");
     });
 
+    test("lines that only look like block openers stay paragraph text", async () => {
+      const adf = await convert(":::unknown\n```js title=app.js\nplain line");
+
+      const texts = adf.content.map((p) => p.content.filter((n) => n.type === "text").map((n) => n.text));
+      expect(texts).toEqual([[":::unknown"], ["```js title=app.js", "plain line"]]);
+    });
+
     test("line break after bold text", async () => {
       const md = `**Bold line**
 Normal line after`;
@@ -345,6 +860,265 @@ Normal line after`;
     });
   });
 
+  describe("deterministic ids", () => {
+    test("same seed gives identical output", async () => {
+      const md = `{status:A:green}
+
+- [ ] task`;
+      const first = await $`echo ${md} | ${SCRIPT} --seed 42`.text();
+      const second = await $`echo ${md} | ${SCRIPT} --seed 42`.text();
+      const unseeded = await $`echo ${md} | ${SCRIPT}`.text();
+
+      expect(first).toBe(second);
+      expect(unseeded).not.toBe(first);
+    });
+
+    test("--stable-ids and ADF_STABLE_IDS give identical output for identical input", async () => {
+      const md = `{status:A:green}`;
+      const flag = await $`echo ${md} | ${SCRIPT} --stable-ids`.text();
+      const env = await $`echo ${md} | ${SCRIPT}`.env({ ...process.env, ADF_STABLE_IDS: "1" }).text();
+      const changed = await $`echo ${"{status:B:green}"} | ${SCRIPT} --stable-ids`.text();
+
+      expect(env).toBe(flag);
+      expect(JSON.parse(changed).content[0].content[0].attrs.localId).not.toBe(JSON.parse(flag).content[0].content[0].attrs.localId);
+    });
+
+    test("--stable-ids: editing one block keeps the other blocks' IDs", async () => {
+      const draft = (text) => `${text}
+
+| Owner | State |
+|---|---|
+| data-platform | {status:OPEN:blue} |
+
+- [ ] backfill`;
+      const before = JSON.parse(await $`echo ${draft("Intro")} | ${SCRIPT} --stable-ids`.text());
+      const after = JSON.parse(await $`echo ${draft("Intro, reworded")} | ${SCRIPT} --stable-ids`.text());
+
+      expect(after.content.slice(1)).toEqual(before.content.slice(1));
+    });
+  });
+
+  describe("references and footnotes", () => {
+    test("reference definitions resolve and disappear", async () => {
+      const md = `See [the runbook][rb].
+
+[rb]: https://wiki.example.com/runbook`;
+      const adf = await convert(md);
+
+      expect(adf.content).toEqual([{
+        type: "paragraph",
+        content: [
+          { type: "text", text: "See " },
+          { type: "text", text: "the runbook", marks: [{ type: "link", attrs: { href: "https://wiki.example.com/runbook" } }] },
+          { type: "text", text: "." },
+        ],
+      }]);
+    });
+
+    test("footnotes add a Notes section in order of use", async () => {
+      const md = `Cost[^cost] and lag[^lag].
+
+[^lag]: Kafka review, https://wiki.example.com/kafka
+[^cost]: Internal estimate`;
+      const adf = await convert(md);
+
+      expect(adf.content.map((n) => n.type)).toEqual(["paragraph", "heading", "orderedList"]);
+      expect(adf.content[1].content[0].text).toBe("Notes");
+      const notes = adf.content[2].content.map((item) => item.content[0].content[0].text);
+      expect(notes).toEqual(["Internal estimate", "Kafka review, "]);
+    });
+  });
+
+  describe("themes", () => {
+    test("--theme confluence enables the ##! marker", async () => {
+      const md = `##! Actions
+
+### Plan`;
+      const adf = JSON.parse(await $`echo ${md} | ${SCRIPT} --theme confluence`.text());
+
+      expect(adf.content.map((h) => [h.attrs.level, h.content[0].marks[1].attrs.color])).toEqual([
+        [2, "#0747a6"],
+        [3, "#003300"],
+      ]);
+    });
+
+    test("##! stays text without a theme marker", async () => {
+      const adf = await convert("##! Actions");
+      expect(adf.content[0]).toEqual({ type: "paragraph", content: [{ type: "text", text: "##! Actions" }] });
+    });
+
+    test("ADF_THEME file sets the context lozenge colour", async () => {
+      const file = `/tmp/md-to-adf-theme-${process.pid}.json`;
+      await Bun.write(file, JSON.stringify({ lozenge: "green" }));
+      const md = `:::context
+Background
+:::`;
+      const result = await $`echo ${md} | ${SCRIPT}`.env({ ...process.env, ADF_THEME: file }).text();
+      await $`rm -f ${file}`;
+
+      const lozenge = JSON.parse(result).content[0].content[0].content[0].content[0].content[0];
+      expect(lozenge.attrs).toMatchObject({ text: "CONTEXT", color: "green" });
+    });
+
+    test("theme table header styles pipe table headers", async () => {
+      const file = `/tmp/md-to-adf-theme-table-${process.pid}.json`;
+      await Bun.write(file, JSON.stringify({ tableHeader: { background: "#403294", color: "#FFFFFF" } }));
+      const md = `| Owner | State |
+|---|---|
+| data-platform | open |`;
+      const result = await $`echo ${md} | ${SCRIPT} --theme ${file} --validate`.nothrow().quiet();
+      await $`rm -f ${file}`;
+
+      expect(result.exitCode).toBe(0);
+      const [header, body] = JSON.parse(result.stdout).content[0].content;
+      expect(header.content[0].attrs.background).toBe("#403294");
+      expect(header.content[0].content[0].content[0].marks).toEqual([
+        { type: "strong" },
+        { type: "textColor", attrs: { color: "#FFFFFF" } },
+      ]);
+      expect(body.content[0].attrs).toEqual({});
+    });
+
+    test("unknown colour is an error", async () => {
+      const file = `/tmp/md-to-adf-theme-bad-${process.pid}.json`;
+      await Bun.write(file, JSON.stringify({ headings: { 2: { color: "pink" } } }));
+      const result = await $`echo "## x" | ${SCRIPT} --theme ${file}`.nothrow().quiet();
+      await $`rm -f ${file}`;
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr.toString()).toContain('Invalid headings.2.color "pink"');
+    });
+  });
+
+  describe("--validate", () => {
+    test("valid document is printed as usual", async () => {
+      const result = await convertValidated(`## Section
+
+- item with \`code\`
+- [link](http://example.com)`);
+
+      expect(result.exitCode).toBe(0);
+      expect(JSON.parse(result.stdout).type).toBe("doc");
+    });
+
+    test("invalid document exits non-zero with located errors", async () => {
+      const result = await convertValidated(`{status:LATE:orange}`);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stdout).toBe("");
+      const report = JSON.parse(result.stderr);
+      expect(report.valid).toBe(false);
+      expect(report.errors[0].path).toBe("/content/0/content/0/attrs/color");
+    });
+  });
+
+  describe("images", () => {
+    test("external image becomes mediaSingle", async () => {
+      const adf = await convert(`![Error dialog](https://example.com/err.png){width=50% layout=wide}`);
+
+      expect(adf.content[0]).toEqual({
+        type: "mediaSingle",
+        attrs: { layout: "wide", width: 50, widthType: "percentage" },
+        content: [{ type: "media", attrs: { type: "external", url: "https://example.com/err.png", alt: "Error dialog" } }],
+      });
+    });
+
+    test("unknown attributes after an image stay text", async () => {
+      const result = await convertValidated(`![Error dialog](https://example.com/err.png){height=200 width=50%}`);
+
+      expect(result.exitCode).toBe(0);
+      const content = JSON.parse(result.stdout).content;
+      expect(content.map(n => n.type)).toEqual(["mediaSingle", "paragraph"]);
+      expect(content[0].attrs).toEqual({ layout: "center" });
+      expect(content[1].content).toEqual([{ type: "text", text: "{height=200 width=50%}" }]);
+    });
+
+    test("image inside text splits the paragraph", async () => {
+      const adf = await convert(`See ![x](https://example.com/x.png) here`);
+
+      expect(adf.content.map(n => n.type)).toEqual(["paragraph", "mediaSingle", "paragraph"]);
+    });
+
+    test("local file prints an attachment manifest on stderr", async () => {
+      const result = await convertValidated(`- ![Stack trace](./shots/trace.png)`);
+
+      expect(result.exitCode).toBe(0);
+      const item = JSON.parse(result.stdout).content[0].content[0];
+      expect(item.content[0].type).toBe("mediaSingle");
+      expect(item.content[0].content[0].attrs.id).toBe("__FILE__:./shots/trace.png");
+      expect(JSON.parse(result.stderr)).toEqual({
+        attachments: [{ id: "__FILE__:./shots/trace.png", path: "./shots/trace.png", alt: "Stack trace" }],
+      });
+    });
+
+    test("image in a task item moves after the task list", async () => {
+      const adf = await convert(`- [ ] compare with ![baseline](https://example.com/b.png)`);
+
+      expect(adf.content.map(n => n.type)).toEqual(["taskList", "mediaSingle"]);
+      expect(adf.content[0].content[0].content).toEqual([{ type: "text", text: "compare with" }]);
+    });
+
+    test("image in a table cell", async () => {
+      const adf = await convert(`| Before |
+|---|
+| ![b](https://example.com/b.png) |`);
+
+      expect(adf.content[0].content[1].content[0].content[0].type).toBe("mediaSingle");
+    });
+  });
+
+  describe("jira key links", () => {
+    async function convertWith(markdown, args, env = {}) {
+      const result = await $`echo ${markdown} | ${SCRIPT} ${args}`.env({ ...process.env, ...env }).text();
+      return JSON.parse(result);
+    }
+
+    test("any key links by default", async () => {
+      const adf = await convert(`PE-1 uses UTF-8`);
+
+      const cards = adf.content[0].content.filter(n => n.type === "inlineCard");
+      expect(cards).toHaveLength(2);
+    });
+
+    test("--jira-projects limits links to listed projects", async () => {
+      const adf = await convertWith(`PE-1 and ML-2 use UTF-8 and SHA-256`, ["--jira-projects", "PE,ML"]);
+
+      const content = adf.content[0].content;
+      expect(content.filter(n => n.type === "inlineCard").map(n => n.attrs.url.split("/browse/")[1])).toEqual(["PE-1", "ML-2"]);
+      expect(content[content.length - 1].text).toBe(" use UTF-8 and SHA-256");
+    });
+
+    test("JIRA_PROJECTS env var sets the allowlist", async () => {
+      const adf = await convertWith(`ISO-8601 for DATA-7`, [], { JIRA_PROJECTS: "DATA" });
+
+      expect(adf.content[0].content[0]).toEqual({ type: "text", text: "ISO-8601 for " });
+      expect(adf.content[0].content[1].type).toBe("inlineCard");
+    });
+
+    test("keys in code, link text and URLs are skipped", async () => {
+      const adf = await convert("`PE-1` [PE-2](https://x.io) https://x.io/PE-3");
+
+      expect(adf.content[0].content.some(n => n.type === "inlineCard")).toBe(false);
+    });
+
+    test("--jira-links link emits linked text", async () => {
+      const adf = await convertWith(`See **PE-1**`, ["--jira-links", "link"], { ATLASSIAN_BASE_URL: "https://corp.atlassian.net/" });
+
+      expect(adf.content[0].content[1]).toEqual({
+        type: "text",
+        text: "PE-1",
+        marks: [{ type: "strong" }, { type: "link", attrs: { href: "https://corp.atlassian.net/browse/PE-1" } }],
+      });
+    });
+
+    test("unknown link style is an error", async () => {
+      const result = await $`echo PE-1 | ${SCRIPT} --jira-links chip`.nothrow().quiet();
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stderr.toString()).toContain("expected card or link");
+    });
+  });
+
   describe("frontmatter stripping", () => {
     test("strips YAML frontmatter", async () => {
       const md = `---
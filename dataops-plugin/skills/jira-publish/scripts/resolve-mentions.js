@@ -0,0 +1,196 @@
+#!/usr/bin/env bun
+/**
+ * resolve-mentions.js - Replace __EMAIL__ mention placeholders in ADF with real accounts
+ *
+ * md-to-adf.js turns @alice@corp.com into a mention with id "__EMAIL__:alice@corp.com".
+ * This stage finds every such mention, resolves each email once, and rewrites the
+ * mention's id/text to the account ID and display name. Emails that can't be
+ * resolved become plain "@alice@corp.com" text.
+ *
+ * Usage:
+ *   md-to-adf.js < draft.md | resolve-mentions.js --search > adf.json
+ *   resolve-mentions.js --directory users.json < adf.json
+ *   resolve-mentions.js --directory users.json --search --strict < adf.json
+ *
+ * Options:
+ *   --directory FILE  JSON directory: {"email": {"accountId", "displayName"}} or a
+ *                     Jira user array ([{"emailAddress", "accountId", "displayName"}])
+ *   --search          Look emails up via Jira user search (ATLASSIAN_BASE_URL,
+ *                     ATLASSIAN_EMAIL, ATLASSIAN_API_TOKEN)
+ *   --strict          Exit 1 (printing nothing on stdout) if any email is unresolved
+ *
+ * Resolvers are tried in the order above. The report goes to stderr as JSON:
+ *   {"resolved": [{"email", "accountId", "displayName", "source"}], "unresolved": ["email"]}
+ */
+
+import { parseArgs } from "node:util";
+
+const PLACEHOLDER = "__EMAIL__:";
+
+/**
+ * Collect the emails of all unresolved mention placeholders in a document.
+ * @param {object} node - ADF node (usually the doc)
+ * @returns {string[]} unique emails in document order
+ */
+function collectMentions(node, emails = new Set()) {
+  if (node.type === "mention" && node.attrs?.id?.startsWith(PLACEHOLDER)) {
+    emails.add(node.attrs.id.slice(PLACEHOLDER.length));
+  }
+  for (const child of node.content || []) {
+    collectMentions(child, emails);
+  }
+  return [...emails];
+}
+
+// Rewrite placeholders in place; unresolved mentions become text
+function applyMentions(node, accounts) {
+  if (!node.content) return;
+  let changed = false;
+  node.content = node.content.map((child) => {
+    if (child.type === "mention" && child.attrs?.id?.startsWith(PLACEHOLDER)) {
+      const email = child.attrs.id.slice(PLACEHOLDER.length);
+      const account = accounts.get(email);
+      if (account) {
+        return { ...child, attrs: { ...child.attrs, id: account.accountId, text: `@${account.displayName}` } };
+      }
+      changed = true;
+      return { type: "text", text: `@${email}` };
+    }
+    applyMentions(child, accounts);
+    return child;
+  });
+
+  // Fallback text next to plain text reads as one run
+  if (changed) {
+    const merged = [];
+    for (const child of node.content) {
+      const last = merged[merged.length - 1];
+      if (last?.type === "text" && child.type === "text" && !last.marks && !child.marks) {
+        merged[merged.length - 1] = { type: "text", text: last.text + child.text };
+      } else {
+        merged.push(child);
+      }
+    }
+    node.content = merged;
+  }
+}
+
+/**
+ * Resolver backed by a local JSON directory.
+ * @param {object|Array} directory - {email: {accountId, displayName}} or Jira user array
+ */
+function directoryResolver(directory) {
+  const byEmail = new Map();
+  if (Array.isArray(directory)) {
+    for (const user of directory) {
+      if (user.emailAddress) byEmail.set(user.emailAddress.toLowerCase(), user);
+    }
+  } else {
+    for (const [email, user] of Object.entries(directory)) {
+      byEmail.set(email.toLowerCase(), user);
+    }
+  }
+  return {
+    name: "directory",
+    async resolve(email) {
+      const user = byEmail.get(email.toLowerCase());
+      return user?.accountId ? { accountId: user.accountId, displayName: user.displayName || email } : null;
+    },
+  };
+}
+
+/**
+ * Resolver backed by Jira's user search endpoint (/rest/api/3/user/search).
+ * @param {{baseUrl: string, email: string, token: string}} options
+ */
+function searchResolver({ baseUrl, email, token }) {
+  const base = baseUrl.replace(/\/+$/, "").replace(/\/(jira|wiki)$/, "");
+  const auth = Buffer.from(`${email}:${token}`).toString("base64");
+  return {
+    name: "search",
+    async resolve(query) {
+      const response = await fetch(`${base}/rest/api/3/user/search?query=${encodeURIComponent(query)}`, {
+        headers: { Authorization: `Basic ${auth}`, Accept: "application/json" },
+      });
+      if (!response.ok) {
+        throw new Error(`User search failed for ${query}: HTTP ${response.status}`);
+      }
+      const users = (await response.json()).filter((u) => u.accountType !== "app");
+      // Email is often hidden by privacy settings - then only a single hit is trusted
+      const exact = users.find((u) => u.emailAddress?.toLowerCase() === query.toLowerCase());
+      const user = exact || (users.length === 1 ? users[0] : null);
+      return user ? { accountId: user.accountId, displayName: user.displayName } : null;
+    },
+  };
+}
+
+/**
+ * Resolve all mention placeholders in a document.
+ * @param {object} doc - ADF document (not modified)
+ * @param {Array<{name: string, resolve: Function}>} resolvers - tried in order
+ * @returns {Promise<{doc: object, report: {resolved: Array, unresolved: string[]}}>}
+ */
+async function resolveMentions(doc, resolvers) {
+  const accounts = new Map();
+  const report = { resolved: [], unresolved: [] };
+
+  for (const email of collectMentions(doc)) {
+    let account = null;
+    for (const resolver of resolvers) {
+      account = await resolver.resolve(email);
+      if (account) {
+        accounts.set(email, account);
+        report.resolved.push({ email, ...account, source: resolver.name });
+        break;
+      }
+    }
+    if (!account) report.unresolved.push(email);
+  }
+
+  const resolved = structuredClone(doc);
+  applyMentions(resolved, accounts);
+  return { doc: resolved, report };
+}
+
+// Export for testing
+export { collectMentions, resolveMentions, directoryResolver, searchResolver };
+
+// Main
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      directory: { type: "string" },
+      search: { type: "boolean", default: false },
+      strict: { type: "boolean", default: false },
+    },
+  });
+
+  const resolvers = [];
+  if (values.directory) {
+    resolvers.push(directoryResolver(JSON.parse(await Bun.file(values.directory).text())));
+  }
+  if (values.search) {
+    const { ATLASSIAN_BASE_URL, ATLASSIAN_EMAIL, ATLASSIAN_API_TOKEN } = process.env;
+    if (!ATLASSIAN_BASE_URL || !ATLASSIAN_EMAIL || !ATLASSIAN_API_TOKEN) {
+      throw new Error("--search needs ATLASSIAN_BASE_URL, ATLASSIAN_EMAIL and ATLASSIAN_API_TOKEN");
+    }
+    resolvers.push(searchResolver({ baseUrl: ATLASSIAN_BASE_URL, email: ATLASSIAN_EMAIL, token: ATLASSIAN_API_TOKEN }));
+  }
+
+  const doc = JSON.parse(await Bun.stdin.text());
+  const { doc: resolved, report } = await resolveMentions(doc, resolvers);
+  console.error(JSON.stringify(report, null, 2));
+
+  if (values.strict && report.unresolved.length > 0) {
+    process.exit(1);
+  }
+  console.log(JSON.stringify(resolved));
+}
+
+// Only run main() when executed directly (not when imported)
+if (import.meta.main) {
+  main().catch((err) => {
+    console.error("Error:", err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,162 @@
+#!/usr/bin/env bun
+/**
+ * Tests for resolve-mentions.js
+ * Run with: bun test resolve-mentions.test.js
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import { $ } from "bun";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { rmSync } from "node:fs";
+import { collectMentions, resolveMentions, directoryResolver, searchResolver } from "./resolve-mentions.js";
+import { parseMarkdown } from "./md-to-adf.js";
+
+const SCRIPT = import.meta.dir + "/resolve-mentions.js";
+
+const USERS = {
+  "alice@corp.com": { accountId: "acc-alice", displayName: "Alice Smith" },
+};
+
+// Stub of Jira's /rest/api/3/user/search
+let server;
+let searches = [];
+
+beforeAll(() => {
+  server = Bun.serve({
+    port: 0,
+    fetch(req) {
+      const url = new URL(req.url);
+      const query = url.searchParams.get("query");
+      searches.push({ path: url.pathname, query, auth: req.headers.get("authorization") });
+      if (query === "bob@corp.com") {
+        return Response.json([{ accountId: "acc-bob", displayName: "Bob Jones", accountType: "atlassian" }]);
+      }
+      if (query === "carol@corp.com") {
+        return Response.json([
+          { accountId: "acc-bot", displayName: "Carol Bot", accountType: "app" },
+          { accountId: "acc-carol", displayName: "Carol White", emailAddress: "Carol@corp.com" },
+          { accountId: "acc-caroline", displayName: "Caroline Black" },
+        ]);
+      }
+      return Response.json([]);
+    },
+  });
+});
+
+afterAll(() => {
+  server.stop(true);
+});
+
+function search() {
+  return searchResolver({ baseUrl: `http://localhost:${server.port}/`, email: "me@corp.com", token: "t0k" });
+}
+
+describe("resolve-mentions", () => {
+  test("collects unique placeholder emails from nested content", () => {
+    const doc = parseMarkdown(`Hi @alice@corp.com
+
+- ask @bob@corp.com
+  - and @alice@corp.com again`);
+    expect(collectMentions(doc)).toEqual(["alice@corp.com", "bob@corp.com"]);
+  });
+
+  test("directory resolver rewrites id and text", async () => {
+    const { doc, report } = await resolveMentions(parseMarkdown("Hi @alice@corp.com"), [directoryResolver(USERS)]);
+
+    expect(doc.content[0].content[1]).toEqual({
+      type: "mention",
+      attrs: { id: "acc-alice", text: "@Alice Smith", accessLevel: "" },
+    });
+    expect(report).toEqual({
+      resolved: [{ email: "alice@corp.com", accountId: "acc-alice", displayName: "Alice Smith", source: "directory" }],
+      unresolved: [],
+    });
+  });
+
+  test("directory accepts a Jira user array", async () => {
+    const resolver = directoryResolver([{ emailAddress: "Alice@Corp.com", accountId: "acc-alice", displayName: "Alice" }]);
+    expect(await resolver.resolve("alice@corp.com")).toEqual({ accountId: "acc-alice", displayName: "Alice" });
+  });
+
+  test("unresolved mentions fall back to plain text", async () => {
+    const { doc, report } = await resolveMentions(parseMarkdown("Hi @zed@corp.com, thanks"), [directoryResolver(USERS)]);
+
+    expect(doc.content[0].content).toEqual([{ type: "text", text: "Hi @zed@corp.com, thanks" }]);
+    expect(report.unresolved).toEqual(["zed@corp.com"]);
+  });
+
+  test("input document is left untouched", async () => {
+    const input = parseMarkdown("@alice@corp.com");
+    await resolveMentions(input, [directoryResolver(USERS)]);
+    expect(input.content[0].content[0].attrs.id).toBe("__EMAIL__:alice@corp.com");
+  });
+
+  test("search resolver takes a single hit and sends basic auth", async () => {
+    searches = [];
+    expect(await search().resolve("bob@corp.com")).toEqual({ accountId: "acc-bob", displayName: "Bob Jones" });
+    expect(searches[0]).toEqual({
+      path: "/rest/api/3/user/search",
+      query: "bob@corp.com",
+      auth: `Basic ${Buffer.from("me@corp.com:t0k").toString("base64")}`,
+    });
+  });
+
+  test("search resolver prefers an exact email match and skips apps", async () => {
+    expect(await search().resolve("carol@corp.com")).toEqual({ accountId: "acc-carol", displayName: "Carol White" });
+  });
+
+  test("resolvers are tried in order", async () => {
+    searches = [];
+    const { report } = await resolveMentions(parseMarkdown("@alice@corp.com @bob@corp.com @zed@corp.com"), [
+      directoryResolver(USERS),
+      search(),
+    ]);
+
+    expect(report.resolved.map((r) => `${r.email}:${r.source}`)).toEqual(["alice@corp.com:directory", "bob@corp.com:search"]);
+    expect(report.unresolved).toEqual(["zed@corp.com"]);
+    expect(searches.map((s) => s.query)).toEqual(["bob@corp.com", "zed@corp.com"]);
+  });
+
+  describe("CLI", () => {
+    const directory = join(tmpdir(), `resolve-mentions-${process.pid}.json`);
+
+    beforeAll(async () => {
+      await Bun.write(directory, JSON.stringify(USERS));
+    });
+
+    afterAll(() => {
+      rmSync(directory, { force: true });
+    });
+
+    test("prints resolved ADF and a report on stderr", async () => {
+      const adf = JSON.stringify(parseMarkdown("@alice@corp.com"));
+      const result = await $`echo ${adf} | ${SCRIPT} --directory ${directory}`.quiet();
+
+      expect(JSON.parse(result.stdout.toString()).content[0].content[0].attrs.id).toBe("acc-alice");
+      expect(JSON.parse(result.stderr.toString()).resolved).toHaveLength(1);
+    });
+
+    test("--search uses the Atlassian environment", async () => {
+      const adf = JSON.stringify(parseMarkdown("@bob@corp.com"));
+      const env = {
+        ...process.env,
+        ATLASSIAN_BASE_URL: `http://localhost:${server.port}`,
+        ATLASSIAN_EMAIL: "me@corp.com",
+        ATLASSIAN_API_TOKEN: "t0k",
+      };
+      const result = await $`echo ${adf} | ${SCRIPT} --search`.env(env).quiet();
+
+      expect(JSON.parse(result.stdout.toString()).content[0].content[0].attrs.id).toBe("acc-bob");
+    });
+
+    test("--strict fails when anything is unresolved", async () => {
+      const adf = JSON.stringify(parseMarkdown("@zed@corp.com"));
+      const result = await $`echo ${adf} | ${SCRIPT} --directory ${directory} --strict`.nothrow().quiet();
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stdout.toString()).toBe("");
+      expect(JSON.parse(result.stderr.toString()).unresolved).toEqual(["zed@corp.com"]);
+    });
+  });
+});